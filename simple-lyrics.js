@@ -19,50 +19,146 @@
 
 
     // --- CONFIGURATION & SETTINGS ---
-    const LYRIC_PROVIDER_URL = "https://lrclib.net/api/get";
+    const LRCLIB_API_URL = "https://lrclib.net/api";
     const CONFIG_KEY = "lyrics-plus:config";
-    const CACHE_KEY = "lyrics-plus:cache";
+    const LEGACY_CACHE_KEY = "lyrics-plus:cache"; // Pre-IndexedDB cache blob, migrated on first use
     const OFFSETS_KEY = "lyrics-plus:offsets";
-    const DEFAULT_CONFIG = {
-        autoCache: true,
-        performanceMode: false, // 'false' or 'true'
-        fontSize: "medium", // 'small', 'medium', 'large'
-        lyricsAlign: "center", // 'left', 'center', 'right'
-        fontStyle: "sans-serif", // 'sans-serif', 'inter', 'lato', etc.
-        fontWeight: "bold", // 'normal', 'bold'
-        fontItalic: "normal", // 'normal', 'italic'
-        layout: "right", // 'default', 'left', 'right', 'lyrics-only'
-        animation: "smooth", // 'smooth', 'fast'
-        backgroundAnimation: false, // 'false' or 'true'
-        backgroundBlur: "medium", // 'low', 'medium', 'high'
+    const VERSIONS_KEY = "lyrics-plus:versions";
+    const FONT_STYLES = ["sans-serif", "inter", "lato", "montserrat", "poppins", "roboto", "nunito", "serif", "playfair-display", "merriweather", "lora", "eb-garamond", "lobster", "pacifico", "caveat", "bebas-neue", "custom"];
+    // Theme colors the user can override. Line colors map to CSS variables whose stylesheet fallback is the built-in look;
+    // accent and background replace the album art colors when the theme is fixed.
+    const THEME_COLORS = {
+        text: { label: "Text", variable: "--lyrics-plus-text-color", default: "#999999" },
+        active: { label: "Active Line", variable: "--lyrics-plus-active-color", default: "#ffffff" },
+        past: { label: "Past Lines", variable: "--lyrics-plus-past-color", default: "#999999" },
+        accent: { label: "Accent", default: "#1db954" },
+        background: { label: "Background", default: "#121212" },
     };
+
+    /**
+     * @typedef {object} SettingRule
+     * @property {'boolean'|'string'|'number'|'array'|'object'} type The JSON type of the value.
+     * @property {any} default Used when the setting is missing or invalid.
+     * @property {any[]} [values] The allowed values.
+     * @property {number} [min] Lowest allowed number.
+     * @property {'string'|'number'} [items] The type of every array item.
+     * @property {(value: any) => boolean} [validate] Extra check, run after the type checks.
+     */
+
+    /** @type {Record<string, SettingRule>} */
+    const CONFIG_SCHEMA = {
+        autoCache: { type: 'boolean', default: true },
+        performanceMode: { type: 'boolean', default: false },
+        fontSize: { type: 'string', values: ["small", "medium", "large"], default: "medium" },
+        lyricsAlign: { type: 'string', values: ["left", "center", "right"], default: "center" },
+        fontStyle: { type: 'string', values: FONT_STYLES, default: "sans-serif" },
+        fontWeight: { type: 'string', values: ["normal", "bold"], default: "bold" },
+        fontItalic: { type: 'string', values: ["normal", "italic"], default: "normal" },
+        layout: { type: 'string', values: ["default", "left", "right", "lyrics-only"], default: "right" },
+        animation: { type: 'string', values: ["smooth", "fast"], default: "smooth" },
+        backgroundAnimation: { type: 'boolean', default: false },
+        backgroundBlur: { type: 'string', values: ["low", "medium", "high"], default: "medium" },
+        backgroundMode: { type: 'string', values: ["cover", "mesh", "tiles", "solid"], default: "cover" }, // See BACKGROUND ENGINE
+        backgroundFps: { type: 'number', values: [15, 30, 60], default: 30 }, // Frame rate cap of the animated canvas backgrounds
+        providerOrder: { type: 'array', items: 'string', default: ["lrclib", "spotify"] }, // Provider ids in priority order
+        disabledProviders: { type: 'array', items: 'string', default: [] }, // Provider ids skipped by the fallback chain
+        cacheMaxEntries: { type: 'number', min: 1, default: 500 }, // Least recently used songs are evicted beyond this
+        cacheTTLDays: { type: 'number', min: 0, default: 0 }, // Cached lyrics older than this are revalidated in the background; 0 = never
+        romanization: { type: 'boolean', default: false }, // Show a romanized line under non-Latin lyrics
+        romanizationScripts: {
+            type: 'array',
+            items: 'string',
+            default: ["hangul", "kana", "cyrillic", "greek"],
+            validate: ids => ids.every(id => id in ROMANIZATION_SCRIPTS),
+        },
+        findSeeks: { type: 'boolean', default: false }, // Moving to a find match also seeks to its line
+        breakIndicatorSeconds: { type: 'number', min: 0, default: 8 }, // Gaps between lines at least this long get a countdown; 0 = off
+        translationSwap: { type: 'boolean', default: false }, // Show the attached translation as the main line and the original beneath it
+        themeMode: { type: 'string', values: ["album", "fixed"], default: "album" }, // Take background and accent from the album art, or from themeColors
+        themeColors: { // THEME_COLORS id -> "#rrggbb"; missing colors keep the built-in look
+            type: 'object',
+            default: {},
+            validate: colors => Object.entries(colors).every(([name, color]) => name in THEME_COLORS && /^#[0-9a-f]{6}$/i.test(color)),
+        },
+        lineSpacing: { type: 'number', min: 1, default: 1.5 },
+        customFontFamily: { type: 'string', default: "", validate: family => !/[;{}<>"]/.test(family) }, // Installed font used when fontStyle is "custom"
+        customFontUrl: { type: 'string', default: "", validate: url => url === "" || /^https?:\/\//i.test(url) }, // Font file or stylesheet to load for it
+        profiles: { // Profile name -> stored appearance settings and what switches to it automatically
+            type: 'object',
+            default: {},
+            validate: profiles => Object.entries(profiles).every(([name, profile]) => PROFILE_NAME_PATTERN.test(name) && isValidProfile(profile)),
+        },
+        activeProfile: { type: 'string', default: "" }, // "" once the active profile has been deleted
+        shortcuts: { // Action id -> key combo overriding DEFAULT_SHORTCUTS; "" leaves the action unbound
+            type: 'object',
+            default: {},
+            validate: shortcuts => Object.values(shortcuts).every(combo => typeof combo === 'string'),
+        },
+    };
+    const DEFAULT_CONFIG = Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, rule]) => [key, rule.default]));
+
+    /**
+     * Upgrades of the stored config, one per schema version: the step at index n turns version n into n + 1.
+     * Configs saved before versioning count as version 0. Steps only reshape data; validation happens afterwards.
+     */
+    const CONFIG_MIGRATIONS = [
+        // 0 -> 1: early versions stored some booleans and numbers as strings
+        (config) => {
+            const migrated = { ...config };
+            for (const key of ["autoCache", "performanceMode", "backgroundAnimation"]) {
+                if (migrated[key] === "true" || migrated[key] === "false") migrated[key] = migrated[key] === "true";
+            }
+            for (const key of ["cacheMaxEntries", "cacheTTLDays"]) {
+                if (typeof migrated[key] === 'string' && migrated[key].trim() && !isNaN(migrated[key])) migrated[key] = Number(migrated[key]);
+            }
+            return migrated;
+        },
+    ];
+    const CONFIG_SCHEMA_VERSION = CONFIG_MIGRATIONS.length;
     let currentConfig = { ...DEFAULT_CONFIG };
-    let songOffsets = {};
+    // Offsets in ms, resolved additively: global + artist + album + track. Positive values delay the lyrics.
+    let lyricsOffsets = { global: 0, artists: {}, albums: {}, tracks: {} };
+    let chosenVersions = {}; // Track URI -> key of the lyrics version picked in the version switcher
     let currentFetchController = null;
+    const OFFSET_SCOPES = [
+        { scope: 'global', label: 'Global' },
+        { scope: 'artists', label: 'Artist' },
+        { scope: 'albums', label: 'Album' },
+        { scope: 'tracks', label: 'Track' },
+    ];
 
     /**
      * Saves the current configuration to Spicetify's LocalStorage and applies the changes.
      * @param {object} newConfig The new configuration object to save.
      */
     function saveConfig(newConfig) {
+        // Switching to a layout that a profile is bound to brings the rest of that profile's appearance along
+        if (newConfig.hasOwnProperty('layout') && !newConfig.hasOwnProperty('activeProfile')) {
+            const boundProfile = findLayoutProfile(newConfig.layout);
+            if (boundProfile && boundProfile !== currentConfig.activeProfile) {
+                newConfig = { ...getProfileSettings(boundProfile), ...newConfig, activeProfile: boundProfile };
+            }
+        }
         const oldConfig = { ...currentConfig };
         currentConfig = { ...currentConfig, ...newConfig };
-        Spicetify.LocalStorage.set(CONFIG_KEY, JSON.stringify(currentConfig));
+        writeConfig();
         applyConfig();
 
         const performanceModeChanged = newConfig.hasOwnProperty('performanceMode') && oldConfig.performanceMode !== newConfig.performanceMode;
         const layoutChanged = newConfig.hasOwnProperty('layout');
+        const lineMarkupChanged = ['romanization', 'romanizationScripts', 'translationSwap'].some(key => newConfig.hasOwnProperty(key));
+        const backgroundChanged = ['themeMode', 'themeColors', 'backgroundMode'].some(key => newConfig.hasOwnProperty(key));
 
-        // If layout or performance mode changes, we need to re-render the shell to apply structural changes
+        // If layout, performance mode or the background changes, we need to re-render the shell to apply structural changes
         // and then re-populate it with the current lyrics and progress.
-        if (performanceModeChanged || layoutChanged) {
+        if (performanceModeChanged || layoutChanged || backgroundChanged) {
             lyricsStarted = false; 
+            currentActiveLineIndex = -1;
             renderPageShell(Player.data.item);
-            if (currentLyrics) {
-                const contentHtml = currentLyrics.map(line => `<p class="lyrics-plus-line" data-time="${line.time}" data-text="${line.text.replace(/"/g, '&quot;')}">${line.text}</p>`).join('');
-                renderLyricsContent(contentHtml);
-                updateLyricsUI(Player.getProgress());
-            }
+            refreshLyricsContent();
+        } else if (lineMarkupChanged) {
+            currentActiveLineIndex = -1;
+            refreshLyricsContent();
         }
     }
 
@@ -70,19 +166,102 @@
      * Loads the configuration from Spicetify's LocalStorage. If no saved config is found, it uses the defaults.
      */
     function loadConfig() {
+        let savedConfig = null;
         try {
-            const savedConfig = Spicetify.LocalStorage.get(CONFIG_KEY);
-            if (savedConfig) {
-                currentConfig = { ...DEFAULT_CONFIG, ...JSON.parse(savedConfig) };
+            const rawConfig = Spicetify.LocalStorage.get(CONFIG_KEY);
+            if (rawConfig) {
+                savedConfig = JSON.parse(rawConfig);
             }
         } catch (e) {
+            // Only an unreadable blob resets everything; bad values are replaced one by one below
             console.error("[Lyrics+] Error loading config, resetting to defaults.", e);
             Spicetify.showNotification("Lyrics Plus settings corrupted. Resetting to default.", true);
-            currentConfig = { ...DEFAULT_CONFIG };
             Spicetify.LocalStorage.remove(CONFIG_KEY);
         }
+
+        const { config, changed } = normalizeConfig(savedConfig);
+        currentConfig = config;
+        const profilesChanged = reconcileProfiles();
+        if ((savedConfig && changed) || profilesChanged) {
+            writeConfig(); // Store the migrated, cleaned-up version
+        }
         applyConfig(); // Apply loaded or default config on startup
     }
+
+    /**
+     * Writes the current configuration to LocalStorage, tagged with the schema version.
+     */
+    function writeConfig() {
+        Spicetify.LocalStorage.set(CONFIG_KEY, JSON.stringify({ schemaVersion: CONFIG_SCHEMA_VERSION, ...currentConfig }));
+    }
+
+    /**
+     * Runs the migration steps a stored config has not been through yet.
+     * @param {object} storedConfig The parsed config, optionally with a `schemaVersion`.
+     * @returns {object} The config in the current schema version, without the version tag.
+     */
+    function migrateConfig(storedConfig) {
+        const { schemaVersion, ...config } = storedConfig;
+        let version = Number.isInteger(schemaVersion) ? schemaVersion : 0;
+        let migrated = config;
+        for (; version < CONFIG_SCHEMA_VERSION; version++) {
+            migrated = CONFIG_MIGRATIONS[version](migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * Checks a value against its setting rule.
+     * @param {SettingRule} rule
+     * @param {any} value
+     * @returns {boolean}
+     */
+    function isValidSetting(rule, value) {
+        switch (rule.type) {
+            case 'array':
+                if (!Array.isArray(value) || (rule.items && value.some(item => typeof item !== rule.items))) return false;
+                break;
+            case 'object':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+                break;
+            case 'number':
+                if (!Number.isFinite(value) || (rule.min !== undefined && value < rule.min)) return false;
+                break;
+            default:
+                if (typeof value !== rule.type) return false;
+        }
+        if (rule.values && !rule.values.includes(value)) return false;
+        return !rule.validate || rule.validate(value);
+    }
+
+    /**
+     * Migrates a stored config and validates it key by key. Unknown keys are dropped and invalid values fall
+     * back to their default, so one bad value never costs the rest of the settings.
+     * @param {any} storedConfig The parsed config, or null when nothing is stored.
+     * @returns {{config: object, changed: boolean}} The usable config and whether it differs from what was stored.
+     */
+    function normalizeConfig(storedConfig) {
+        if (!storedConfig || typeof storedConfig !== 'object' || Array.isArray(storedConfig)) {
+            return { config: { ...DEFAULT_CONFIG }, changed: !!storedConfig };
+        }
+
+        const migrated = migrateConfig(storedConfig);
+        let changed = storedConfig.schemaVersion !== CONFIG_SCHEMA_VERSION
+            || Object.keys(migrated).some(key => !(key in CONFIG_SCHEMA));
+        const config = {};
+        for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+            if (!(key in migrated)) {
+                config[key] = rule.default;
+            } else if (isValidSetting(rule, migrated[key])) {
+                config[key] = migrated[key];
+            } else {
+                console.warn(`[Lyrics+] Invalid value for setting "${key}", using the default.`, migrated[key]);
+                config[key] = rule.default;
+                changed = true;
+            }
+        }
+        return { config, changed };
+    }
     
     /**
      * Loads per-song lyric offsets from LocalStorage.
@@ -91,45 +270,133 @@
         try {
             const savedOffsets = Spicetify.LocalStorage.get(OFFSETS_KEY);
             if (savedOffsets) {
-                songOffsets = JSON.parse(savedOffsets);
+                const parsed = JSON.parse(savedOffsets);
+                lyricsOffsets = migrateOffsets(parsed);
+                currentTrackOffset = null;
+                if (!parsed.tracks) saveOffsets();
             }
         } catch (e) {
             console.error("[Lyrics+] Error loading offsets, resetting.", e);
             Spicetify.showNotification("Lyrics Plus offsets corrupted. Resetting.", true);
-            songOffsets = {};
+            lyricsOffsets = { global: 0, artists: {}, albums: {}, tracks: {} };
+            currentTrackOffset = null;
             Spicetify.LocalStorage.remove(OFFSETS_KEY);
         }
     }
 
+    /**
+     * Brings stored offsets into the layered shape. Older versions stored a flat map of track URI -> offset.
+     * @param {object} data The parsed offsets.
+     * @returns {{global: number, artists: object, albums: object, tracks: object}}
+     */
+    function migrateOffsets(data) {
+        if (!data || typeof data !== 'object') throw new Error("Offsets are not an object");
+        if (typeof data.tracks !== 'object') {
+            return { global: 0, artists: {}, albums: {}, tracks: { ...data } };
+        }
+        return {
+            global: Number(data.global) || 0,
+            artists: data.artists || {},
+            albums: data.albums || {},
+            tracks: data.tracks,
+        };
+    }
+
     /**
      * Saves the entire song offsets object to LocalStorage.
      */
     function saveOffsets() {
-        Spicetify.LocalStorage.set(OFFSETS_KEY, JSON.stringify(songOffsets));
+        Spicetify.LocalStorage.set(OFFSETS_KEY, JSON.stringify(lyricsOffsets));
     }
 
     /**
-     * Gets the offset for a specific track URI.
+     * Loads the per-song lyrics version choices from LocalStorage.
+     */
+    function loadVersionChoices() {
+        try {
+            const savedVersions = Spicetify.LocalStorage.get(VERSIONS_KEY);
+            if (savedVersions) {
+                chosenVersions = JSON.parse(savedVersions);
+            }
+        } catch (e) {
+            console.error("[Lyrics+] Error loading version choices, resetting.", e);
+            chosenVersions = {};
+            Spicetify.LocalStorage.remove(VERSIONS_KEY);
+        }
+    }
+
+    /**
+     * Remembers which lyrics version was picked for a track.
      * @param {string} uri The URI of the track.
+     * @param {string} versionKey The key of the chosen version.
+     */
+    function saveVersionChoice(uri, versionKey) {
+        chosenVersions[uri] = versionKey;
+        Spicetify.LocalStorage.set(VERSIONS_KEY, JSON.stringify(chosenVersions));
+    }
+
+    /**
+     * Returns the key a track uses in each offset layer.
+     * @param {object} track The track object from Spicetify.
+     * @returns {{artists: string|undefined, albums: string|undefined, tracks: string|undefined}}
+     */
+    function getOffsetKeys(track) {
+        return { artists: track?.metadata?.artist_uri, albums: track?.metadata?.album_uri, tracks: track?.uri };
+    }
+
+    /**
+     * Reads the value of a single offset layer.
+     * @param {'global'|'artists'|'albums'|'tracks'} scope The layer.
+     * @param {string} [key] The artist, album or track URI. Unused for the global layer.
      * @returns {number} The offset in milliseconds.
      */
-    function getOffsetForTrack(uri) {
-        return songOffsets[uri] || 0;
+    function getOffset(scope, key) {
+        if (scope === 'global') return lyricsOffsets.global;
+        return (key && lyricsOffsets[scope][key]) || 0;
     }
 
     /**
-     * Sets and saves the offset for a specific track URI.
-     * @param {string} uri The URI of the track.
+     * Gets the total offset for a track, adding up the global, artist, album and track layers.
+     * @param {object} track The track object from Spicetify.
+     * @returns {number} The offset in milliseconds.
+     */
+    function getOffsetForTrack(track) {
+        const keys = getOffsetKeys(track);
+        return getOffset('global') + getOffset('artists', keys.artists) + getOffset('albums', keys.albums) + getOffset('tracks', keys.tracks);
+    }
+
+    /** @type {{uri: string|undefined, offset: number}|null} Total offset of the playing track, read every frame */
+    let currentTrackOffset = null;
+
+    /**
+     * Gets the total offset of the playing track, summing the layers only when the track or an offset changed.
+     * @returns {number} The offset in milliseconds.
+     */
+    function getCurrentTrackOffset() {
+        const track = Player.data?.item;
+        if (currentTrackOffset?.uri !== track?.uri) currentTrackOffset = { uri: track?.uri, offset: getOffsetForTrack(track) };
+        return currentTrackOffset.offset;
+    }
+
+    /**
+     * Sets and saves one offset layer.
+     * @param {'global'|'artists'|'albums'|'tracks'} scope The layer.
+     * @param {string} key The artist, album or track URI. Ignored for the global layer.
      * @param {number} offset The offset in milliseconds.
      */
-    function setOffsetForTrack(uri, offset) {
-        if (offset === 0) {
-            delete songOffsets[uri]; // Keep the storage clean by removing zero offsets
+    function setOffset(scope, key, offset) {
+        if (scope === 'global') {
+            lyricsOffsets.global = offset;
+        } else if (!key) {
+            return;
+        } else if (offset === 0) {
+            delete lyricsOffsets[scope][key]; // Keep the storage clean by removing zero offsets
         } else {
-            songOffsets[uri] = offset;
+            lyricsOffsets[scope][key] = offset;
         }
+        currentTrackOffset = null;
         saveOffsets();
-        updateLyricsUI(Player.getProgress());
+        updateLyricsUI(getPlaybackPosition());
         updateSettingsModalUI(); // Keep settings UI in sync if it's open
     }
 
@@ -158,10 +425,24 @@
         container.classList.add(`align-${currentConfig.lyricsAlign}`);
 
         // Apply Font Style Class
-        const fontClasses = ["font-sans-serif", "font-inter", "font-lato", "font-montserrat", "font-poppins", "font-roboto", "font-nunito", "font-serif", "font-playfair-display", "font-merriweather", "font-lora", "font-eb-garamond", "font-lobster", "font-pacifico", "font-caveat", "font-bebas-neue"];
-        container.classList.remove(...fontClasses);
+        container.classList.remove(...FONT_STYLES.map(font => `font-${font}`));
         container.classList.add(`font-${currentConfig.fontStyle.replace(/\s+/g, '-').toLowerCase()}`);
 
+        // Apply theme colors, line spacing and the custom font
+        for (const [name, color] of Object.entries(THEME_COLORS)) {
+            if (!color.variable) continue;
+            if (currentConfig.themeColors[name]) {
+                container.style.setProperty(color.variable, currentConfig.themeColors[name]);
+            } else {
+                container.style.removeProperty(color.variable);
+            }
+        }
+        container.style.setProperty('--lyrics-plus-line-spacing', currentConfig.lineSpacing);
+        container.style.setProperty('--lyrics-plus-font-family', getCustomFontFamily());
+        loadCustomFont();
+
+        updateProfileSelect();
+
         // Apply Font Weight
         container.classList.remove("font-weight-normal", "font-weight-bold");
         container.classList.add(`font-weight-${currentConfig.fontWeight}`);
@@ -178,22 +459,324 @@
         const background = page.querySelector("#lyrics-plus-background");
         if (background) {
             // Spinning
-            background.classList.toggle("spinning", currentConfig.backgroundAnimation && !currentConfig.performanceMode);
+            background.classList.toggle("spinning", currentConfig.backgroundMode === 'cover' && isBackgroundAnimated());
             // Blur
             background.classList.remove("blur-low", "blur-medium", "blur-high", "blur-none");
             background.classList.add(currentConfig.performanceMode ? 'blur-none' : `blur-${currentConfig.backgroundBlur}`);
         }
+        resumeBackgroundRenderer(); // Picks up Animated Background being switched on
+        invalidateLineHeights(); // Font, spacing and alignment changes rewrap the lines
+    }
+
+
+    // --- THEME ---
+    const CUSTOM_FONT_FACE = "LyricsPlusCustomFont"; // Family name given to a font loaded from a font file URL
+    let loadedCustomFontUrl = '';
+
+    /**
+     * Returns a theme color: the user's choice, or the built-in default.
+     * @param {string} name A THEME_COLORS id.
+     * @returns {string} A "#rrggbb" color.
+     */
+    function getThemeColor(name) {
+        return currentConfig.themeColors[name] || THEME_COLORS[name].default;
+    }
+
+    /**
+     * Checks whether a custom font URL points at a font file rather than a stylesheet.
+     * @param {string} url
+     * @returns {boolean}
+     */
+    function isFontFileUrl(url) {
+        return /\.(woff2?|ttf|otf)(\?.*)?$/i.test(url);
+    }
+
+    /**
+     * Builds the CSS font-family list for the custom font setting.
+     * @returns {string}
+     */
+    function getCustomFontFamily() {
+        const families = [];
+        if (currentConfig.customFontFamily) families.push(`"${currentConfig.customFontFamily}"`);
+        if (currentConfig.customFontUrl && isFontFileUrl(currentConfig.customFontUrl)) families.push(`"${CUSTOM_FONT_FACE}"`);
+        return [...families, "sans-serif"].join(', ');
+    }
+
+    /**
+     * Loads the custom font URL, as an @font-face for font files or as a stylesheet link otherwise.
+     * Only one custom font is loaded at a time.
+     */
+    function loadCustomFont() {
+        const url = currentConfig.fontStyle === 'custom' ? currentConfig.customFontUrl : '';
+        if (url === loadedCustomFontUrl) return;
+        loadedCustomFontUrl = url;
+        document.getElementById('lyrics-plus-custom-font')?.remove();
+        if (!url) return;
+
+        let fontElement;
+        if (isFontFileUrl(url)) {
+            fontElement = document.createElement('style');
+            fontElement.textContent = `@font-face { font-family: "${CUSTOM_FONT_FACE}"; src: url("${url.replace(/"/g, '%22')}"); font-display: swap; }`;
+        } else {
+            fontElement = document.createElement('link');
+            fontElement.rel = 'stylesheet';
+            fontElement.href = url;
+        }
+        fontElement.id = 'lyrics-plus-custom-font';
+        document.head.appendChild(fontElement);
+    }
+
+    /**
+     * Saves the custom font inputs from the settings and switches the lyrics to it.
+     */
+    function applyCustomFont() {
+        const family = settingsModal.querySelector('#lyrics-plus-custom-font-family').value.trim();
+        const url = settingsModal.querySelector('#lyrics-plus-custom-font-url').value.trim();
+        if (!family && !url) {
+            Spicetify.showNotification("Enter an installed font name or a font URL.", true);
+            return;
+        }
+        if (!CONFIG_SCHEMA.customFontFamily.validate(family)) {
+            Spicetify.showNotification("Font names can't contain quotes, braces, < > or semicolons.", true);
+            return;
+        }
+        if (!CONFIG_SCHEMA.customFontUrl.validate(url)) {
+            Spicetify.showNotification("The font URL must start with http:// or https://.", true);
+            return;
+        }
+        saveConfig({ fontStyle: 'custom', customFontFamily: family, customFontUrl: url });
+        updateSettingsModalUI();
+    }
+
+    // --- APPEARANCE PROFILES ---
+    // Settings stored per profile; providers, caching, shortcuts and the like are shared by all profiles
+    const PROFILE_SETTINGS = ["layout", "fontSize", "lyricsAlign", "fontStyle", "fontWeight", "fontItalic", "animation", "backgroundAnimation", "backgroundBlur", "backgroundMode", "themeMode", "themeColors", "lineSpacing", "customFontFamily", "customFontUrl"];
+    const PROFILE_NAME_PATTERN = /^[^<>&"]{1,40}$/; // Names end up in the settings markup unescaped
+    const DEFAULT_PROFILE_NAME = "Default";
+    const PROFILE_LAYOUT_LABELS = { left: "Left", right: "Right", "lyrics-only": "Lyrics Only" };
+    let breakpointProfile = null; // Profile last picked by the window width, so resizing within its range keeps a manual switch
+    let profileResizeTimer = null;
+
+    /**
+     * Checks the shape of a stored profile. Its settings are validated one by one when applied.
+     * @param {any} profile
+     * @returns {boolean}
+     */
+    function isValidProfile(profile) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return false;
+        if (!profile.settings || typeof profile.settings !== 'object' || Array.isArray(profile.settings)) return false;
+        if (profile.bindLayout !== "" && !CONFIG_SCHEMA.layout.values.includes(profile.bindLayout)) return false;
+        return [profile.minWidth, profile.maxWidth].every(width => Number.isFinite(width) && width >= 0);
+    }
+
+    /**
+     * Copies the settings a profile stores out of a config.
+     * @param {object} config
+     * @returns {object}
+     */
+    function pickProfileSettings(config) {
+        return Object.fromEntries(PROFILE_SETTINGS.map(key => [key, config[key]]));
+    }
+
+    /**
+     * Returns the usable settings of a profile. Values that no longer pass the schema are left out, and a layout
+     * binding always wins over the stored layout.
+     * @param {string} name
+     * @returns {object}
+     */
+    function getProfileSettings(name) {
+        const profile = currentConfig.profiles[name];
+        if (!profile) return {};
+        const settings = Object.fromEntries(Object.entries(profile.settings)
+            .filter(([key, value]) => PROFILE_SETTINGS.includes(key) && isValidSetting(CONFIG_SCHEMA[key], value)));
+        if (profile.bindLayout) settings.layout = profile.bindLayout;
+        return settings;
+    }
+
+    /**
+     * Creates the first profile from the current settings when there is none, and forgets an active profile that
+     * no longer exists.
+     * @returns {boolean} Whether the config was changed.
+     */
+    function reconcileProfiles() {
+        if (!Object.keys(currentConfig.profiles).length) {
+            currentConfig.profiles = { [DEFAULT_PROFILE_NAME]: { settings: pickProfileSettings(currentConfig), bindLayout: "", minWidth: 0, maxWidth: 0 } };
+            currentConfig.activeProfile = DEFAULT_PROFILE_NAME;
+            return true;
+        }
+        if (currentConfig.activeProfile && !currentConfig.profiles[currentConfig.activeProfile]) {
+            currentConfig.activeProfile = "";
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Switches to a profile by applying its stored settings.
+     * @param {string} name
+     */
+    function applyProfile(name) {
+        if (!currentConfig.profiles[name]) return;
+        saveConfig({ ...getProfileSettings(name), activeProfile: name });
+        updateSettingsModalUI();
+    }
+
+    /**
+     * Stores the current appearance settings in a profile, creating it if needed, and makes it the active one.
+     * @param {string} name
+     */
+    function saveProfile(name) {
+        name = name.trim();
+        if (!PROFILE_NAME_PATTERN.test(name)) {
+            Spicetify.showNotification("Profile names need 1 to 40 characters and can't contain < > & or quotes.", true);
+            return;
+        }
+        const existing = currentConfig.profiles[name] || { bindLayout: "", minWidth: 0, maxWidth: 0 };
+        const profiles = { ...currentConfig.profiles, [name]: { ...existing, settings: pickProfileSettings(currentConfig) } };
+        saveConfig({ profiles, activeProfile: name });
+        updateSettingsModalUI();
+        Spicetify.showNotification(`Saved appearance profile "${name}".`);
+    }
+
+    /**
+     * Deletes a profile. The last remaining profile can't be deleted.
+     * @param {string} name
+     */
+    function deleteProfile(name) {
+        const { [name]: removed, ...profiles } = currentConfig.profiles;
+        if (!removed || !Object.keys(profiles).length) return;
+        saveConfig({ profiles, activeProfile: currentConfig.activeProfile === name ? "" : currentConfig.activeProfile });
+        if (breakpointProfile === name) breakpointProfile = null;
+        updateSettingsModalUI();
+    }
+
+    /**
+     * Changes what switches to a profile automatically.
+     * @param {string} name
+     * @param {'bindLayout'|'minWidth'|'maxWidth'} field
+     * @param {string|number} value A layout id or "", or a width in pixels where 0 means no limit.
+     */
+    function setProfileBinding(name, field, value) {
+        const profile = currentConfig.profiles[name];
+        if (!profile) return;
+        saveConfig({ profiles: { ...currentConfig.profiles, [name]: { ...profile, [field]: value } } });
+        breakpointProfile = null; // Let the new breakpoints take effect right away
+        applyBreakpointProfile();
+        updateSettingsModalUI();
+    }
+
+    /**
+     * Switches to the profile after the active one.
+     */
+    function cycleProfile() {
+        const names = Object.keys(currentConfig.profiles);
+        if (names.length < 2) return;
+        const next = names[(names.indexOf(currentConfig.activeProfile) + 1) % names.length];
+        applyProfile(next);
+        Spicetify.showNotification(`Appearance profile: ${next}`);
+    }
+
+    /**
+     * Finds the profile bound to a layout.
+     * @param {string} layout
+     * @returns {string|undefined} The profile name.
+     */
+    function findLayoutProfile(layout) {
+        return Object.keys(currentConfig.profiles).find(name => currentConfig.profiles[name].bindLayout === layout);
+    }
+
+    /**
+     * Finds the first profile whose width breakpoints contain a window width.
+     * @param {number} width The window width in pixels.
+     * @returns {string|null} The profile name.
+     */
+    function findBreakpointProfile(width) {
+        return Object.keys(currentConfig.profiles).find(name => {
+            const { minWidth, maxWidth } = currentConfig.profiles[name];
+            return (minWidth || maxWidth) && width >= minWidth && (!maxWidth || width < maxWidth);
+        }) || null;
+    }
+
+    /**
+     * Switches profile when the window width moves into another profile's breakpoints.
+     */
+    function applyBreakpointProfile() {
+        const name = findBreakpointProfile(window.innerWidth);
+        if (name === breakpointProfile) return;
+        breakpointProfile = name;
+        if (name && name !== currentConfig.activeProfile) applyProfile(name);
+    }
+
+    /**
+     * Fills the profile switcher on the lyrics page. It is hidden while there is only one profile.
+     */
+    function updateProfileSelect() {
+        const select = page.querySelector('#lyrics-plus-profile-select');
+        if (!select) return;
+        const names = Object.keys(currentConfig.profiles);
+        select.innerHTML = `${currentConfig.activeProfile ? '' : '<option value="" disabled>Custom</option>'}${names.map(name => `<option value="${name}">${name}</option>`).join('')}`;
+        select.value = currentConfig.activeProfile;
+        select.classList.toggle('visible', names.length > 1);
+    }
+
+    /**
+     * Renders one row per profile with its bindings in the settings.
+     */
+    function renderProfileList() {
+        const listEl = settingsModal.querySelector("#lyrics-plus-profile-list");
+        if (!listEl) return;
+
+        const names = Object.keys(currentConfig.profiles);
+        listEl.innerHTML = names.map(name => {
+            const profile = currentConfig.profiles[name];
+            const settings = profile.settings;
+            const summary = [PROFILE_LAYOUT_LABELS[settings.layout] || settings.layout, `${settings.fontSize} text`, `${settings.lyricsAlign} aligned`, `${settings.backgroundBlur} blur`]
+                .filter(Boolean).join(' · ');
+            const active = name === currentConfig.activeProfile;
+            const layoutOptions = Object.entries(PROFILE_LAYOUT_LABELS)
+                .map(([layout, label]) => `<option value="${layout}" ${profile.bindLayout === layout ? 'selected' : ''}>${label} layout</option>`).join('');
+            return `
+                <li data-profile="${name}">
+                    <span class="lyrics-plus-provider-name">${name}<small>${summary}</small></span>
+                    <button data-profile-action="apply" class="${active ? 'active' : ''}">${active ? 'Active' : 'Use'}</button>
+                    <button data-profile-action="update" title="Store the current appearance settings in this profile">Update</button>
+                    <button data-profile-action="delete" title="Delete" ${names.length > 1 ? '' : 'disabled'}>✕</button>
+                    <div class="lyrics-plus-profile-bindings">
+                        <select data-profile-field="bindLayout" title="Switch to this profile when the layout changes">
+                            <option value="">Any layout</option>
+                            ${layoutOptions}
+                        </select>
+                        <input type="number" min="0" step="50" data-profile-field="minWidth" value="${profile.minWidth || ''}" placeholder="Min width px" title="Switch to this profile when the window is at least this wide">
+                        <input type="number" min="0" step="50" data-profile-field="maxWidth" value="${profile.maxWidth || ''}" placeholder="Max width px" title="…and narrower than this">
+                    </div>
+                </li>`;
+        }).join('');
     }
 
+    window.addEventListener('resize', () => {
+        clearTimeout(profileResizeTimer);
+        profileResizeTimer = setTimeout(applyBreakpointProfile, 200);
+    });
 
     // --- STATE MANAGEMENT ---
-    let currentLyrics = null;
+    let currentLyrics = null; // Lines of {time, text, words?, secondary?}, with any translation merged in
+    /** @type {{uri: string, lyrics: Array<{time: number, text: string}>, source: string, timestamp: number}|null} */
+    let currentTranslation = null;
+    /** @type {Array<{lyrics: Array<{time: number, text: string}>, provider: string, query: object, key: string}>} */
     let availableLyrics = [];
+    let currentVersionIndex = 0;
+    let currentSourceBadge = ''; // Short note shown above the lyrics, e.g. for low-confidence matches
+    let currentPlainLyrics = null; // Lines of unsynced lyrics, the starting point for the sync editor
+    let lyricsEstimated = false; // True while `currentLyrics` holds estimated timings spread over plain lyrics
+    /** @type {{lines: Array<{text: string, time: number|null}>, cursor: number, previewing: boolean}|null} */
+    let syncEditor = null;
     let isPageVisible = false;
     let currentActiveLineIndex = -1;
+    let activeWordElements = []; // Word spans of the active line when it carries word-level timings
     let lyricsStarted = false; // Flag to track if lyrics have started displaying for the current song.
     let isSynced = true; // Flag to track if lyrics are synced with the player
     let scrollTimeout = null;
+    let syncHereArmed = false; // The next click on a line sets the offset instead of seeking
     let latestFetchUri = null;
 
     // --- STYLES ---
@@ -294,6 +877,24 @@
       #lyrics-plus-settings-btn {
         left: 60px;
       }
+      #lyrics-plus-versions-btn {
+        left: 100px;
+        display: none;
+        align-items: center;
+        gap: 4px;
+        font-size: 0.8rem;
+        font-weight: 700;
+      }
+      #lyrics-plus-versions-btn.visible {
+        display: flex;
+      }
+      #lyrics-plus-sync-btn {
+        left: 100px;
+        display: none;
+      }
+      #lyrics-plus-sync-btn.visible {
+        display: block;
+      }
       .lyrics-plus-album-title {
         font-size: 0.9rem;
         font-weight: 700;
@@ -335,6 +936,18 @@
       .lyrics-plus-viewport.lyrics-hidden .lyrics-plus-content {
         opacity: 0;
       }
+      .lyrics-plus-viewport.estimated .lyrics-plus-content {
+        transition-duration: 2.5s, 0.5s;
+      }
+      .lyrics-plus-viewport.estimated .lyrics-plus-line.past {
+        opacity: 0.5;
+        filter: none;
+      }
+      .lyrics-plus-viewport.drag-over {
+        outline: 2px dashed rgba(255,255,255,0.6);
+        outline-offset: -8px;
+        border-radius: 16px;
+      }
       
       .layout-left .lyrics-plus-viewport, .layout-right .lyrics-plus-viewport {
         width: 70%;
@@ -347,34 +960,168 @@
       .lyrics-plus-content {
         width: 100%;
         height: 100%;
-        padding: 50% 24px;
+        padding: 0 24px;
         transition: transform 0.8s cubic-bezier(0.25, 0.46, 0.45, 0.94), opacity 0.5s ease-in-out;
         position: relative;
       }
       .lyrics-plus-line {
-        line-height: 1.5;
-        color: rgba(255,255,255,0.4);
+        line-height: var(--lyrics-plus-line-spacing, 1.5);
+        color: var(--lyrics-plus-text-color, rgba(255,255,255,0.4));
         transition: color 0.5s ease-in-out, opacity 0.5s ease-in-out, filter 0.5s ease;
         padding: 10px 0;
+        margin: 0; /* Measured heights are border boxes, so lines must not add margins */
         position: relative;
         cursor: pointer;
       }
+      #lyrics-plus-fullscreen-container.sync-here-armed .lyrics-plus-line {
+        cursor: crosshair;
+      }
       .lyrics-plus-line:hover {
         color: rgba(255,255,255,0.7);
       }
       .lyrics-plus-line.past {
+        color: var(--lyrics-plus-past-color, rgba(255,255,255,0.4));
         opacity: 0.2;
         filter: blur(1px);
       }
       .lyrics-plus-line.active {
-        color: white;
+        color: var(--lyrics-plus-active-color, white);
+        opacity: 1;
+      }
+      @property --word-progress {
+        syntax: '<percentage>';
+        inherits: false;
+        initial-value: 0%;
+      }
+      .lyrics-plus-line.has-words.active .lyrics-plus-word {
+        color: transparent;
+        background-image: linear-gradient(90deg, var(--lyrics-plus-active-color, white) var(--word-progress), var(--lyrics-plus-text-color, rgba(255,255,255,0.4)) var(--word-progress));
+        -webkit-background-clip: text;
+        background-clip: text;
+        transition: --word-progress 0.15s linear;
+      }
+      .lyrics-plus-break {
+        display: none;
+        font-size: 0.6em;
+        color: var(--lyrics-plus-active-color, white);
         opacity: 1;
+        filter: none;
+      }
+      .lyrics-plus-line.break-before .lyrics-plus-break.before,
+      .lyrics-plus-line.break-after .lyrics-plus-break.after {
+        display: block;
+      }
+      .lyrics-plus-break i {
+        display: inline-block;
+        width: 0.45em;
+        height: 0.45em;
+        margin-left: 0.35em;
+        border-radius: 50%;
+        background-color: currentColor;
+        animation: lyrics-plus-break-breathe 1.6s ease-in-out infinite;
+      }
+      /* Each dot lights up over a third of the break */
+      .lyrics-plus-break i:nth-of-type(1) { opacity: clamp(0.25, calc(var(--break-progress, 0) * 3), 1); }
+      .lyrics-plus-break i:nth-of-type(2) { opacity: clamp(0.25, calc(var(--break-progress, 0) * 3 - 1), 1); animation-delay: 0.2s; }
+      .lyrics-plus-break i:nth-of-type(3) { opacity: clamp(0.25, calc(var(--break-progress, 0) * 3 - 2), 1); animation-delay: 0.4s; }
+      @keyframes lyrics-plus-break-breathe {
+        0%, 100% { transform: scale(0.85); }
+        50% { transform: scale(1.1); }
+      }
+      .lyrics-plus-viewport.in-break .lyrics-plus-line.active {
+        opacity: 0.5;
+      }
+      .lyrics-plus-romanization {
+        display: block;
+        font-size: 0.55em;
+        font-weight: 500;
+        opacity: 0.8;
+      }
+      .lyrics-plus-secondary {
+        display: block;
+        font-size: 0.6em;
+        font-weight: 500;
+        opacity: 0.6;
+        margin-top: 4px;
       }
       .lyrics-plus-message {
         color: white;
         font-size: 1.5rem;
         font-style: italic;
       }
+      #lyrics-plus-source-badge {
+        position: absolute;
+        top: 74px;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 4px 12px;
+        border-radius: 12px;
+        background-color: rgba(0,0,0,0.5);
+        color: white;
+        font-size: 0.8rem;
+        font-weight: 700;
+        letter-spacing: 0.5px;
+        opacity: 0.8;
+        display: none;
+        z-index: 10;
+      }
+      #lyrics-plus-source-badge.visible {
+        display: block;
+      }
+      #lyrics-plus-find-bar {
+        position: absolute;
+        top: 110px;
+        right: 20px;
+        z-index: 20;
+        display: none;
+        align-items: center;
+        gap: 6px;
+        padding: 6px 8px;
+        border-radius: 20px;
+        background-color: rgba(0,0,0,0.7);
+        border: 1px solid rgba(255,255,255,0.2);
+        color: white;
+        font-size: 0.8rem;
+      }
+      #lyrics-plus-find-bar.visible {
+        display: flex;
+      }
+      #lyrics-plus-find-input {
+        width: 160px;
+        padding: 4px 8px;
+        border: none;
+        border-radius: 12px;
+        background-color: rgba(255,255,255,0.1);
+        color: white;
+        font-size: 0.8rem;
+        outline: none;
+      }
+      #lyrics-plus-find-count {
+        min-width: 48px;
+        opacity: 0.7;
+        white-space: nowrap;
+      }
+      #lyrics-plus-find-bar button {
+        background-color: rgba(255,255,255,0.1);
+        color: white;
+        border: 1px solid rgba(255,255,255,0.3);
+        border-radius: 12px;
+        padding: 3px 9px;
+        cursor: pointer;
+      }
+      #lyrics-plus-find-bar button:hover, #lyrics-plus-find-bar button.active {
+        background-color: rgba(255,255,255,0.25);
+      }
+      .lyrics-plus-line.find-match {
+        opacity: 1;
+        filter: none;
+        background-color: rgba(255,255,255,0.08);
+        border-radius: 8px;
+      }
+      .lyrics-plus-line.find-current {
+        background-color: rgba(255,255,255,0.2);
+        box-shadow: inset 4px 0 0 var(--lyrics-plus-active-color, white);
+      }
       #lyrics-plus-resync-btn {
         position: absolute;
         bottom: 40px;
@@ -396,13 +1143,57 @@
         opacity: 1;
         visibility: visible;
       }
-
-
-      /* Player Controls */
-      .lyrics-plus-controls {
-        width: 100%;
-        max-width: 242px; /* Increased by 10% */
-        margin-top: 10px;
+      #lyrics-plus-sync-toolbar {
+        position: absolute;
+        bottom: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        display: none;
+        align-items: center;
+        gap: 8px;
+        padding: 8px 12px;
+        border-radius: 24px;
+        background-color: rgba(0,0,0,0.7);
+        color: white;
+        font-size: 0.8rem;
+        white-space: nowrap;
+        z-index: 20;
+      }
+      #lyrics-plus-sync-toolbar.visible {
+        display: flex;
+      }
+      #lyrics-plus-sync-toolbar button {
+        background-color: rgba(255,255,255,0.1);
+        color: white;
+        border: 1px solid rgba(255,255,255,0.3);
+        border-radius: 16px;
+        padding: 6px 14px;
+        cursor: pointer;
+      }
+      #lyrics-plus-sync-toolbar button:hover {
+        background-color: rgba(255,255,255,0.2);
+      }
+      .lyrics-plus-sync-hint {
+        opacity: 0.7;
+        margin-right: 4px;
+      }
+      .lyrics-plus-sync-line.stamped {
+        color: rgba(255,255,255,0.7);
+      }
+      .lyrics-plus-sync-time {
+        font-family: monospace;
+        font-size: 0.5em;
+        opacity: 0.6;
+        margin-right: 12px;
+        vertical-align: middle;
+      }
+
+
+      /* Player Controls */
+      .lyrics-plus-controls {
+        width: 100%;
+        max-width: 242px; /* Increased by 10% */
+        margin-top: 10px;
         color: white;
       }
       .lyrics-plus-progress-time {
@@ -421,7 +1212,9 @@
       }
       #lyrics-plus-progress-bar {
         height: 100%;
-        width: 0%;
+        width: 100%;
+        transform: scaleX(0);
+        transform-origin: left center;
         background-color: white;
         border-radius: 2px;
         transition: background-color 0.5s ease;
@@ -461,7 +1254,7 @@
       }
 
       /* Settings & Chooser Modal Styles */
-      #lyrics-plus-settings-modal, #lyrics-plus-choose-modal {
+      #lyrics-plus-settings-modal, #lyrics-plus-choose-modal, #lyrics-plus-cache-modal {
           position: fixed;
           top: 0; left: 0;
           width: 100%; height: 100%;
@@ -471,7 +1264,7 @@
           justify-content: center;
           align-items: center;
       }
-      #lyrics-plus-settings-modal.visible, #lyrics-plus-choose-modal.visible {
+      #lyrics-plus-settings-modal.visible, #lyrics-plus-choose-modal.visible, #lyrics-plus-cache-modal.visible {
           display: flex;
       }
       .lyrics-plus-settings-content, .lyrics-plus-choose-content {
@@ -496,7 +1289,7 @@
       .lyrics-plus-settings-header h2 {
           font-size: 1.2rem; margin: 0;
       }
-      #lyrics-plus-settings-close-btn {
+      #lyrics-plus-settings-close-btn, .lyrics-plus-choose-close-btn {
           background: none; border: none; color: white; opacity: 0.7; cursor: pointer;
       }
       .lyrics-plus-settings-section {
@@ -538,13 +1331,55 @@
           color: white;
           border-color: transparent;
       }
-      #lyrics-plus-offset-value {
+      .lyrics-plus-offset-value {
         padding: 8px 16px;
         background-color: rgba(255, 255, 255, 0.1);
         border-radius: 20px;
         min-width: 80px;
         text-align: center;
       }
+      .lyrics-plus-theme-colors {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
+        gap: 8px;
+        margin-top: 10px;
+      }
+      .lyrics-plus-theme-color {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 10px;
+        border-radius: 8px;
+        background-color: rgba(255, 255, 255, 0.1);
+        font-size: 0.85rem;
+      }
+      .lyrics-plus-theme-color span {
+        flex: 1;
+      }
+      .lyrics-plus-theme-color input[type="color"] {
+        width: 28px;
+        height: 28px;
+        padding: 0;
+        border: none;
+        background: none;
+        cursor: pointer;
+      }
+      .lyrics-plus-theme-color button {
+        background: none;
+        border: none;
+        color: white;
+        opacity: 0.6;
+        cursor: pointer;
+      }
+      .lyrics-plus-custom-font input {
+        flex: 1;
+        min-width: 180px;
+        padding: 8px;
+        border-radius: 4px;
+        background-color: rgba(255, 255, 255, 0.1);
+        color: white;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+      }
       #lyrics-plus-font-select {
         width: 100%;
         padding: 8px;
@@ -576,6 +1411,9 @@
       #lyrics-plus-provider-status-indicator.not-found {
         color: #3B82F6; /* Blue for not found */
       }
+      #lyrics-plus-provider-status-indicator.local {
+        color: #A855F7; /* Purple for user-supplied lyrics */
+      }
       #lyrics-plus-settings-indicator {
         transition: fill 0.3s;
       }
@@ -588,6 +1426,96 @@
       #lyrics-plus-settings-indicator.not-found {
         fill: #3B82F6;
       }
+      #lyrics-plus-settings-indicator.local {
+        fill: #A855F7;
+      }
+      .lyrics-plus-provider-list, .lyrics-plus-shortcut-list, .lyrics-plus-profile-list {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+      }
+      .lyrics-plus-provider-list li, .lyrics-plus-shortcut-list li, .lyrics-plus-profile-list li {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px;
+        padding: 8px 12px;
+        border-radius: 8px;
+        background-color: rgba(255, 255, 255, 0.1);
+        margin-bottom: 8px;
+      }
+      .lyrics-plus-provider-name {
+        flex: 1;
+        display: flex;
+        flex-direction: column;
+      }
+      .lyrics-plus-provider-name small {
+        opacity: 0.6;
+        font-size: 0.75rem;
+      }
+      .lyrics-plus-provider-list button, .lyrics-plus-shortcut-list button, .lyrics-plus-profile-list button {
+        background-color: rgba(255, 255, 255, 0.1);
+        border: none;
+        color: white;
+        padding: 4px 10px;
+        border-radius: 12px;
+        cursor: pointer;
+      }
+      .lyrics-plus-provider-list button:disabled, .lyrics-plus-profile-list button:disabled {
+        opacity: 0.3;
+        cursor: not-allowed;
+      }
+      .lyrics-plus-provider-list button.active, .lyrics-plus-shortcut-list button.active, .lyrics-plus-profile-list button.active {
+        background-color: rgba(255, 255, 255, 0.3);
+      }
+      .lyrics-plus-shortcut-list button[data-shortcut-action="rebind"] {
+        min-width: 90px;
+        font-family: monospace;
+      }
+      .lyrics-plus-profile-bindings {
+        display: flex;
+        gap: 8px;
+        width: 100%;
+      }
+      .lyrics-plus-profile-bindings select, .lyrics-plus-profile-bindings input, #lyrics-plus-profile-name {
+        flex: 1;
+        min-width: 0;
+        padding: 6px;
+        border-radius: 4px;
+        background-color: rgba(255, 255, 255, 0.1);
+        color: white;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+      }
+      #lyrics-plus-profile-select {
+        position: absolute;
+        top: 74px;
+        right: 20px;
+        z-index: 10;
+        display: none;
+        max-width: 180px;
+        padding: 6px 10px;
+        border-radius: 16px;
+        background-color: rgba(0, 0, 0, 0.4);
+        color: white;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        font-size: 0.8rem;
+        font-weight: 700;
+        cursor: pointer;
+      }
+      #lyrics-plus-profile-select.visible {
+        display: block;
+      }
+      .lyrics-plus-shortcut-conflict {
+        color: #F59E0B;
+      }
+      .lyrics-plus-provider-status-dot {
+        color: #888;
+        transition: color 0.3s;
+      }
+      .lyrics-plus-provider-status-dot.online { color: #1DB954; }
+      .lyrics-plus-provider-status-dot.offline { color: #E22134; }
+      .lyrics-plus-provider-status-dot.not-found { color: #3B82F6; }
+      .lyrics-plus-provider-status-dot.disabled { opacity: 0.3; }
       .lyrics-plus-choose-list {
         list-style: none;
         padding: 0;
@@ -608,6 +1536,86 @@
       .lyrics-plus-choose-list li:hover {
         background-color: rgba(255, 255, 255, 0.2);
       }
+      .lyrics-plus-choose-list li.active {
+        background-color: rgba(255, 255, 255, 0.3);
+      }
+      .lyrics-plus-choose-list li div {
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+      .lyrics-plus-version-title {
+        font-weight: 700;
+      }
+      .lyrics-plus-version-source, .lyrics-plus-version-preview {
+        font-size: 0.85rem;
+        opacity: 0.7;
+        margin-top: 4px;
+      }
+      .lyrics-plus-version-preview {
+        font-style: italic;
+      }
+      .lyrics-plus-version-translate {
+        margin-top: 8px;
+        padding: 4px 10px;
+        border-radius: 12px;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        background: transparent;
+        color: white;
+        font-size: 0.8rem;
+        cursor: pointer;
+      }
+      .lyrics-plus-version-translate:hover {
+        background-color: rgba(255, 255, 255, 0.2);
+      }
+      .lyrics-plus-cache-content {
+        max-width: 560px;
+      }
+      .lyrics-plus-cache-usage {
+        font-size: 0.85rem;
+        opacity: 0.7;
+        margin-bottom: 12px;
+      }
+      .lyrics-plus-cache-toolbar {
+        display: flex;
+        gap: 8px;
+        margin-bottom: 12px;
+      }
+      .lyrics-plus-cache-toolbar input, .lyrics-plus-cache-toolbar select {
+        padding: 8px;
+        border-radius: 4px;
+        background-color: rgba(255, 255, 255, 0.1);
+        color: white;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+      }
+      .lyrics-plus-cache-toolbar input {
+        flex: 1;
+      }
+      .lyrics-plus-cache-list li {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        cursor: default;
+      }
+      .lyrics-plus-cache-entry-info {
+        flex: 1;
+        min-width: 0;
+      }
+      .lyrics-plus-cache-list button {
+        background-color: rgba(255, 255, 255, 0.1);
+        border: none;
+        color: white;
+        padding: 6px 12px;
+        border-radius: 16px;
+        cursor: pointer;
+        flex-shrink: 0;
+      }
+      .lyrics-plus-cache-list button:hover {
+        background-color: rgba(255, 255, 255, 0.2);
+      }
+      .lyrics-plus-cache-list button:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
 
       /* --- DYNAMIC & PERFORMANCE STYLES --- */
       /* Background Blur Levels */
@@ -624,6 +1632,11 @@
       #lyrics-plus-background.spinning {
         animation: spin 60s linear infinite;
       }
+      #lyrics-plus-background canvas {
+        display: block;
+        width: 100%;
+        height: 100%;
+      }
 
       /* Font Size */
       #lyrics-plus-fullscreen-container.font-size-small .lyrics-plus-line { font-size: 1.8rem; }
@@ -660,6 +1673,7 @@
       #lyrics-plus-fullscreen-container.font-pacifico .lyrics-plus-line { font-family: 'Pacifico', cursive; }
       #lyrics-plus-fullscreen-container.font-caveat .lyrics-plus-line { font-family: 'Caveat', cursive; }
       #lyrics-plus-fullscreen-container.font-bebas-neue .lyrics-plus-line { font-family: 'Bebas Neue', sans-serif; }
+      #lyrics-plus-fullscreen-container.font-custom .lyrics-plus-line { font-family: var(--lyrics-plus-font-family); }
 
       /* Lyrics Scroll Speed */
       #lyrics-plus-fullscreen-container.animation-smooth .lyrics-plus-content { transition-duration: 0.8s; }
@@ -674,7 +1688,8 @@
       #lyrics-plus-fullscreen-container.performance-mode .lyrics-plus-content {
         transition: none !important;
       }
-      #lyrics-plus-fullscreen-container.performance-mode .lyrics-plus-line {
+      #lyrics-plus-fullscreen-container.performance-mode .lyrics-plus-line,
+      #lyrics-plus-fullscreen-container.performance-mode .lyrics-plus-word {
         transition: none !important;
       }
       #lyrics-plus-fullscreen-container.performance-mode .lyrics-plus-line.past {
@@ -693,6 +1708,14 @@
     settingsModal.id = "lyrics-plus-settings-modal";
     document.body.appendChild(settingsModal);
 
+    const chooseModal = document.createElement("div");
+    chooseModal.id = "lyrics-plus-choose-modal";
+    document.body.appendChild(chooseModal);
+
+    const cacheModal = document.createElement("div");
+    cacheModal.id = "lyrics-plus-cache-modal";
+    document.body.appendChild(cacheModal);
+
     /**
      * Creates the HTML structure for the settings modal.
      */
@@ -709,11 +1732,24 @@
                 </div>
 
                 <div class="lyrics-plus-settings-section" id="lyrics-plus-status-section">
-                    <span>Provider Status (Lrclib):</span> 
+                    <span>Provider Status:</span> 
                     <span id="lyrics-plus-provider-status-indicator">●</span> 
                     <span id="lyrics-plus-provider-status-text">Checking...</span>
                 </div>
 
+                <div class="lyrics-plus-settings-section">
+                    <h3>Lyrics Providers</h3>
+                    <ul class="lyrics-plus-provider-list" id="lyrics-plus-provider-list"></ul>
+                </div>
+
+                <div class="lyrics-plus-settings-section">
+                    <h3>Keyboard Shortcuts</h3>
+                    <ul class="lyrics-plus-shortcut-list" id="lyrics-plus-shortcut-list"></ul>
+                    <div class="lyrics-plus-settings-options">
+                        <button id="lyrics-plus-reset-shortcuts-btn">Reset Shortcuts</button>
+                    </div>
+                </div>
+
                 <div class="lyrics-plus-settings-section">
                     <h3>Performance Mode</h3>
                     <div class="lyrics-plus-settings-options" data-setting="performanceMode">
@@ -734,16 +1770,59 @@
                          <button id="lyrics-plus-clear-current-cache-btn">Clear Current Cache</button>
                          <button id="lyrics-plus-clear-cache-btn">Clear All Cache</button>
                          <button id="lyrics-plus-export-lrc-btn">Export .lrc</button>
+                         <button id="lyrics-plus-manage-cache-btn">Manage Cache</button>
+                         <button id="lyrics-plus-import-lrc-btn">Import .lrc</button>
+                         <button id="lyrics-plus-remove-local-btn">Remove Local .lrc</button>
+                         <input type="file" id="lyrics-plus-import-lrc-input" accept=".lrc,text/plain" hidden>
+                    </div>
+                    <div class="lyrics-plus-settings-options" data-setting="cacheMaxEntries" style="margin-top: 10px;">
+                        <label>Cache Size:</label>
+                        <button data-value="100">100 songs</button>
+                        <button data-value="500">500 songs</button>
+                        <button data-value="2000">2000 songs</button>
+                    </div>
+                    <div class="lyrics-plus-settings-options" data-setting="cacheTTLDays" style="margin-top: 10px;">
+                        <label>Refresh Cached:</label>
+                        <button data-value="0">Never</button>
+                        <button data-value="7">After 7 days</button>
+                        <button data-value="30">After 30 days</button>
+                    </div>
+                </div>
+
+                <div class="lyrics-plus-settings-section">
+                    <h3>Backup & Restore</h3>
+                    <div class="lyrics-plus-settings-options">
+                         <button id="lyrics-plus-backup-export-btn">Export Backup</button>
+                         <button id="lyrics-plus-backup-merge-btn" title="Keep local data the backup doesn't have">Restore (Merge)</button>
+                         <button id="lyrics-plus-backup-replace-btn" title="Discard local data first">Restore (Replace)</button>
+                         <input type="file" id="lyrics-plus-backup-input" accept=".json,application/json" hidden>
                     </div>
                 </div>
 
                 <div class="lyrics-plus-settings-section">
                     <h3>Lyrics Offset</h3>
-                    <div class="lyrics-plus-settings-options" data-setting="lyricsOffset">
-                        <button id="lyrics-plus-offset-decrease" title="Decrease offset by 100ms">-100ms</button>
-                        <span id="lyrics-plus-offset-value">0 ms</span>
-                        <button id="lyrics-plus-offset-increase" title="Increase offset by 100ms">+100ms</button>
-                        <button id="lyrics-plus-offset-reset" title="Reset offset for this song">Reset</button>
+                    ${OFFSET_SCOPES.map(({ scope, label }) => `
+                    <div class="lyrics-plus-settings-options lyrics-plus-offset-row" data-offset-scope="${scope}">
+                        <label>${label}:</label>
+                        <button data-offset-step="-100">-100</button>
+                        <button data-offset-step="-10">-10</button>
+                        <span class="lyrics-plus-offset-value">0 ms</span>
+                        <button data-offset-step="10">+10</button>
+                        <button data-offset-step="100">+100</button>
+                        <button data-offset-reset title="Reset this offset">Reset</button>
+                    </div>`).join('')}
+                    <div class="lyrics-plus-settings-options" style="margin-top: 10px;">
+                        <label>Total: <span id="lyrics-plus-offset-total">0 ms</span></label>
+                        <button id="lyrics-plus-sync-here-btn" title="Then click the line you are hearing right now (or Alt+click a line at any time)">Sync Here</button>
+                    </div>
+                </div>
+
+                <div class="lyrics-plus-settings-section">
+                    <h3>Appearance Profiles</h3>
+                    <ul class="lyrics-plus-profile-list" id="lyrics-plus-profile-list"></ul>
+                    <div class="lyrics-plus-settings-options">
+                        <input type="text" id="lyrics-plus-profile-name" placeholder="New profile name">
+                        <button id="lyrics-plus-profile-save-btn">Save Current as Profile</button>
                     </div>
                 </div>
 
@@ -808,7 +1887,61 @@
                             <option value="caveat">Caveat</option>
                             <option value="bebas-neue">Bebas Neue</option>
                         </optgroup>
+                        <optgroup label="Custom">
+                            <option value="custom">Custom Font</option>
+                        </optgroup>
                     </select>
+                    <div class="lyrics-plus-settings-options lyrics-plus-custom-font" style="margin-top: 10px;">
+                        <input type="text" id="lyrics-plus-custom-font-family" placeholder="Installed font, e.g. Helvetica Neue">
+                        <input type="text" id="lyrics-plus-custom-font-url" placeholder="Font URL (.woff2, .ttf or stylesheet), optional">
+                        <button id="lyrics-plus-custom-font-apply-btn">Use Custom Font</button>
+                    </div>
+                </div>
+                <div class="lyrics-plus-settings-section">
+                    <h3>Theme</h3>
+                    <div class="lyrics-plus-settings-options" data-setting="themeMode">
+                        <button data-value="album">Follow Album Art</button>
+                        <button data-value="fixed">Fixed Theme</button>
+                    </div>
+                    <div class="lyrics-plus-theme-colors">
+                        ${Object.entries(THEME_COLORS).map(([name, color]) => `
+                        <label class="lyrics-plus-theme-color">
+                            <span>${color.label}</span>
+                            <input type="color" data-theme-color="${name}">
+                            <button data-theme-reset="${name}" title="Use the default">↺</button>
+                        </label>`).join('')}
+                    </div>
+                    <div class="lyrics-plus-settings-options" data-setting="lineSpacing" style="margin-top: 10px;">
+                        <label>Line Spacing:</label>
+                        <button data-value="1.2">Compact</button>
+                        <button data-value="1.5">Normal</button>
+                        <button data-value="1.8">Relaxed</button>
+                        <button data-value="2.2">Loose</button>
+                    </div>
+                </div>
+                <div class="lyrics-plus-settings-section">
+                    <h3>Translation</h3>
+                    <div class="lyrics-plus-settings-options" data-setting="translationSwap">
+                        <label>Main Line:</label>
+                        <button data-value="false">Original</button>
+                        <button data-value="true">Translation</button>
+                    </div>
+                    <div class="lyrics-plus-settings-options" style="margin-top: 10px;">
+                         <button id="lyrics-plus-attach-translation-btn">Attach Translation .lrc</button>
+                         <button id="lyrics-plus-remove-translation-btn">Remove Translation</button>
+                         <input type="file" id="lyrics-plus-translation-input" accept=".lrc,text/plain" hidden>
+                    </div>
+                </div>
+                <div class="lyrics-plus-settings-section">
+                    <h3>Romanization</h3>
+                    <div class="lyrics-plus-settings-options" data-setting="romanization">
+                        <button data-value="true">On</button>
+                        <button data-value="false">Off</button>
+                    </div>
+                    <div class="lyrics-plus-settings-options" style="margin-top: 10px;">
+                        <label>Scripts:</label>
+                        ${Object.entries(ROMANIZATION_SCRIPTS).map(([id, script]) => `<button data-romanization-script="${id}">${script.name}</button>`).join('')}
+                    </div>
                 </div>
                 <div class="lyrics-plus-settings-section">
                     <h3>Lyrics Scroll</h3>
@@ -817,6 +1950,16 @@
                         <button data-value="fast">Fast</button>
                     </div>
                 </div>
+                <div class="lyrics-plus-settings-section">
+                    <h3>Instrumental Break Indicator</h3>
+                    <div class="lyrics-plus-settings-options" data-setting="breakIndicatorSeconds">
+                        <label>For gaps of at least:</label>
+                        <button data-value="0">Off</button>
+                        <button data-value="5">5s</button>
+                        <button data-value="8">8s</button>
+                        <button data-value="12">12s</button>
+                    </div>
+                </div>
                 <div class="lyrics-plus-settings-section">
                     <h3>Background Blur</h3>
                     <div class="lyrics-plus-settings-options" data-setting="backgroundBlur">
@@ -831,6 +1974,19 @@
                         <button data-value="true">On</button>
                         <button data-value="false">Off</button>
                     </div>
+                    <div class="lyrics-plus-settings-options" data-setting="backgroundMode" style="margin-top: 10px;">
+                        <label>Style:</label>
+                        <button data-value="cover">Cover Blur</button>
+                        <button data-value="mesh">Mesh Gradient</button>
+                        <button data-value="tiles">Drifting Tiles</button>
+                        <button data-value="solid">Solid Color</button>
+                    </div>
+                    <div class="lyrics-plus-settings-options" data-setting="backgroundFps" style="margin-top: 10px;">
+                        <label>Frame Rate Cap:</label>
+                        <button data-value="15">15 fps</button>
+                        <button data-value="30">30 fps</button>
+                        <button data-value="60">60 fps</button>
+                    </div>
                 </div>
             </div>
         `;
@@ -844,17 +2000,85 @@
             }
 
             // Handle offset controls
-            const currentTrackUri = Player.data?.item?.uri;
-            if (currentTrackUri) {
-                if (target.closest('#lyrics-plus-offset-decrease')) {
-                    const currentOffset = getOffsetForTrack(currentTrackUri);
-                    setOffsetForTrack(currentTrackUri, currentOffset - 100);
-                } else if (target.closest('#lyrics-plus-offset-increase')) {
-                    const currentOffset = getOffsetForTrack(currentTrackUri);
-                    setOffsetForTrack(currentTrackUri, currentOffset + 100);
-                } else if (target.closest('#lyrics-plus-offset-reset')) {
-                    setOffsetForTrack(currentTrackUri, 0);
+            const offsetRow = target.closest('[data-offset-scope]');
+            const offsetButton = target.closest('[data-offset-step], [data-offset-reset]');
+            if (offsetRow && offsetButton) {
+                const scope = offsetRow.dataset.offsetScope;
+                const key = getOffsetKeys(Player.data?.item)[scope];
+                const step = Number(offsetButton.dataset.offsetStep);
+                setOffset(scope, key, offsetButton.hasAttribute('data-offset-reset') ? 0 : getOffset(scope, key) + step);
+                return;
+            }
+            if (target.closest('#lyrics-plus-sync-here-btn')) {
+                armSyncHere();
+                return;
+            }
+
+            // Handle provider priority and enable/disable controls
+            const providerButton = target.closest('[data-provider-action]');
+            if (providerButton) {
+                const providerId = providerButton.closest('[data-provider]')?.dataset.provider;
+                if (providerButton.dataset.providerAction === 'toggle') {
+                    toggleProvider(providerId);
+                } else {
+                    moveProvider(providerId, providerButton.dataset.providerAction === 'up' ? -1 : 1);
+                }
+                return;
+            }
+
+            // Handle profile controls
+            const profileButton = target.closest('[data-profile-action]');
+            if (profileButton) {
+                const profileName = profileButton.closest('[data-profile]')?.dataset.profile;
+                if (profileButton.dataset.profileAction === 'apply') applyProfile(profileName);
+                else if (profileButton.dataset.profileAction === 'update') saveProfile(profileName);
+                else deleteProfile(profileName);
+                return;
+            }
+            if (target.closest('#lyrics-plus-profile-save-btn')) {
+                const nameInput = settingsModal.querySelector('#lyrics-plus-profile-name');
+                saveProfile(nameInput.value);
+                if (currentConfig.profiles[nameInput.value.trim()]) nameInput.value = '';
+                return;
+            }
+
+            // Handle theme color resets
+            const themeReset = target.closest('[data-theme-reset]');
+            if (themeReset) {
+                e.preventDefault(); // Don't open the color picker of the surrounding label
+                const { [themeReset.dataset.themeReset]: removed, ...themeColors } = currentConfig.themeColors;
+                saveConfig({ themeColors });
+                updateSettingsModalUI();
+                return;
+            }
+            if (target.closest('#lyrics-plus-custom-font-apply-btn')) {
+                applyCustomFont();
+                return;
+            }
+
+            // Handle shortcut rebinding
+            const shortcutButton = target.closest('[data-shortcut-action]');
+            if (shortcutButton) {
+                const actionId = shortcutButton.closest('[data-shortcut]')?.dataset.shortcut;
+                if (shortcutButton.dataset.shortcutAction === 'rebind') {
+                    rebindingShortcut = rebindingShortcut === actionId ? null : actionId;
+                    renderShortcutList();
+                } else {
+                    setShortcut(actionId, '');
                 }
+                return;
+            }
+
+            // Handle the per-script romanization toggles
+            const scriptButton = target.closest('[data-romanization-script]');
+            if (scriptButton) {
+                const scriptId = scriptButton.dataset.romanizationScript;
+                const scripts = currentConfig.romanizationScripts.includes(scriptId)
+                    ? currentConfig.romanizationScripts.filter(id => id !== scriptId)
+                    : [...currentConfig.romanizationScripts, scriptId];
+                saveConfig({ romanizationScripts: scripts });
+                updateSettingsModalUI();
+                return;
             }
 
             // Handle other settings buttons
@@ -882,18 +2106,98 @@
                     exportLRC();
                     return;
                 }
+                if (button.id === 'lyrics-plus-manage-cache-btn') {
+                    toggleCacheModal(true);
+                    return;
+                }
+                if (button.id === 'lyrics-plus-import-lrc-btn') {
+                    settingsModal.querySelector('#lyrics-plus-import-lrc-input').click();
+                    return;
+                }
+                if (button.id === 'lyrics-plus-remove-local-btn') {
+                    removeImportedLRC();
+                    return;
+                }
+                if (button.id === 'lyrics-plus-backup-export-btn') {
+                    exportBackup();
+                    return;
+                }
+                if (button.id === 'lyrics-plus-backup-merge-btn' || button.id === 'lyrics-plus-backup-replace-btn') {
+                    pendingRestoreMode = button.id === 'lyrics-plus-backup-merge-btn' ? 'merge' : 'replace';
+                    settingsModal.querySelector('#lyrics-plus-backup-input').click();
+                    return;
+                }
+                if (button.id === 'lyrics-plus-reset-shortcuts-btn') {
+                    rebindingShortcut = null;
+                    saveConfig({ shortcuts: {} });
+                    renderShortcutList();
+                    return;
+                }
+                if (button.id === 'lyrics-plus-attach-translation-btn') {
+                    settingsModal.querySelector('#lyrics-plus-translation-input').click();
+                    return;
+                }
+                if (button.id === 'lyrics-plus-remove-translation-btn') {
+                    removeTranslation();
+                    return;
+                }
                 const setting = button.parentElement.dataset.setting;
-                if (setting && setting !== 'lyricsOffset') { // Make sure not to conflict with offset buttons
+                if (setting) {
                     let value = button.dataset.value;
-                    if (setting === 'backgroundAnimation' || setting === 'performanceMode' || setting === 'autoCache') {
+                    if (typeof DEFAULT_CONFIG[setting] === 'boolean') {
                         value = (value === 'true');
+                    } else if (typeof DEFAULT_CONFIG[setting] === 'number') {
+                        value = Number(value);
                     }
                     saveConfig({ [setting]: value });
                     updateSettingsModalUI();
+                    if (setting === 'cacheMaxEntries') {
+                        enforceCacheLimit().catch(e => console.error("[Lyrics+] Error trimming cache.", e));
+                    }
                 }
             }
         });
 
+        const importInput = settingsModal.querySelector("#lyrics-plus-import-lrc-input");
+        importInput.addEventListener('change', () => {
+            const file = importInput.files?.[0];
+            if (file) importLRCFile(file);
+            importInput.value = ''; // Allow picking the same file again
+        });
+
+        const backupInput = settingsModal.querySelector("#lyrics-plus-backup-input");
+        backupInput.addEventListener('change', () => {
+            const file = backupInput.files?.[0];
+            if (file) importBackup(file, pendingRestoreMode);
+            backupInput.value = '';
+        });
+
+        const translationInput = settingsModal.querySelector("#lyrics-plus-translation-input");
+        translationInput.addEventListener('change', () => {
+            const file = translationInput.files?.[0];
+            if (file) attachTranslationFile(file);
+            translationInput.value = '';
+        });
+
+        // Profile rows are re-rendered, so their binding fields are handled by delegation
+        settingsModal.addEventListener('change', (e) => {
+            const field = e.target.closest('[data-profile-field]');
+            if (!field) return;
+            const profileName = field.closest('[data-profile]')?.dataset.profile;
+            const fieldName = field.dataset.profileField;
+            const value = fieldName === 'bindLayout' ? field.value : Math.max(0, Math.round(Number(field.value) || 0));
+            setProfileBinding(profileName, fieldName, value);
+        });
+
+        settingsModal.querySelectorAll('[data-theme-color]').forEach(input => {
+            const color = THEME_COLORS[input.dataset.themeColor];
+            // Preview while dragging, save once the picker is closed
+            if (color.variable) input.addEventListener('input', () => page.style.setProperty(color.variable, input.value));
+            input.addEventListener('change', () => {
+                saveConfig({ themeColors: { ...currentConfig.themeColors, [input.dataset.themeColor]: input.value } });
+            });
+        });
+
         const fontSelect = settingsModal.querySelector("#lyrics-plus-font-select");
         fontSelect.addEventListener('change', (e) => {
             saveConfig({ fontStyle: e.target.value });
@@ -914,26 +2218,43 @@
             }
         });
 
+        settingsModal.querySelectorAll('[data-romanization-script]').forEach(btn => {
+            btn.classList.toggle('active', currentConfig.romanizationScripts.includes(btn.dataset.romanizationScript));
+        });
+
         // Update font select
         const fontSelect = settingsModal.querySelector("#lyrics-plus-font-select");
         if (fontSelect) fontSelect.value = currentConfig.fontStyle;
+        const customFontFamilyInput = settingsModal.querySelector("#lyrics-plus-custom-font-family");
+        const customFontUrlInput = settingsModal.querySelector("#lyrics-plus-custom-font-url");
+        if (customFontFamilyInput && document.activeElement !== customFontFamilyInput) customFontFamilyInput.value = currentConfig.customFontFamily;
+        if (customFontUrlInput && document.activeElement !== customFontUrlInput) customFontUrlInput.value = currentConfig.customFontUrl;
+        settingsModal.querySelectorAll('[data-theme-color]').forEach(input => {
+            input.value = getThemeColor(input.dataset.themeColor);
+        });
+
+        renderProviderList();
+        renderShortcutList();
+        renderProfileList();
 
         // Update offset display
-        const offsetValueEl = settingsModal.querySelector("#lyrics-plus-offset-value");
-        if (offsetValueEl) {
-            const currentTrackUri = Player.data?.item?.uri;
-            if (currentTrackUri) {
-                const offset = getOffsetForTrack(currentTrackUri);
-                offsetValueEl.textContent = `${offset} ms`;
-            } else {
-                offsetValueEl.textContent = 'N/A';
-            }
+        const track = Player.data?.item;
+        const offsetKeys = getOffsetKeys(track);
+        settingsModal.querySelectorAll('[data-offset-scope]').forEach(row => {
+            const scope = row.dataset.offsetScope;
+            const available = scope === 'global' || !!offsetKeys[scope];
+            row.querySelector('.lyrics-plus-offset-value').textContent = available ? `${getOffset(scope, offsetKeys[scope])} ms` : 'N/A';
+            row.querySelectorAll('button').forEach(btn => { btn.disabled = !available; });
+        });
+        const offsetTotalEl = settingsModal.querySelector("#lyrics-plus-offset-total");
+        if (offsetTotalEl) {
+            offsetTotalEl.textContent = track?.uri ? `${getOffsetForTrack(track)} ms` : 'N/A';
         }
     }
 
     /**
      * Updates the status indicator in the settings modal.
-     * @param {'online' | 'offline' | 'not-found' | 'checking'} status The current status.
+     * @param {'online' | 'offline' | 'not-found' | 'checking' | 'local'} status The current status.
      * @param {string} message The message to display.
      */
     function updateStatusIndicator(status, message) {
@@ -956,28 +2277,177 @@
         }
     }
 
+    /**
+     * Renders the provider priority list with per-provider status indicators.
+     */
+    function renderProviderList() {
+        const listEl = settingsModal.querySelector("#lyrics-plus-provider-list");
+        if (!listEl) return;
+
+        const chain = getProviderChain({ includeDisabled: true });
+        listEl.innerHTML = chain.map((provider, index) => {
+            const enabled = !currentConfig.disabledProviders.includes(provider.id);
+            const status = enabled ? (providerStatuses[provider.id] || '') : 'disabled';
+            const capabilities = Object.keys(PROVIDER_CAPABILITY_LABELS)
+                .filter(capability => provider.capabilities[capability])
+                .map(capability => PROVIDER_CAPABILITY_LABELS[capability])
+                .join(' · ');
+            return `
+                <li data-provider="${provider.id}">
+                    <span class="lyrics-plus-provider-status-dot ${status}">●</span>
+                    <span class="lyrics-plus-provider-name">${provider.name}<small>${capabilities}</small></span>
+                    <button data-provider-action="up" title="Higher priority" ${index === 0 ? 'disabled' : ''}>▲</button>
+                    <button data-provider-action="down" title="Lower priority" ${index === chain.length - 1 ? 'disabled' : ''}>▼</button>
+                    <button data-provider-action="toggle" class="${enabled ? 'active' : ''}">${enabled ? 'On' : 'Off'}</button>
+                </li>`;
+        }).join('');
+    }
+
+    /**
+     * Moves a provider up or down in the fallback chain and saves the new order.
+     * @param {string} providerId The id of the provider to move.
+     * @param {number} direction -1 to raise the priority, 1 to lower it.
+     */
+    function moveProvider(providerId, direction) {
+        const order = getProviderChain({ includeDisabled: true }).map(provider => provider.id);
+        const index = order.indexOf(providerId);
+        const newIndex = index + direction;
+        if (index === -1 || newIndex < 0 || newIndex >= order.length) return;
+
+        [order[index], order[newIndex]] = [order[newIndex], order[index]];
+        saveConfig({ providerOrder: order });
+        renderProviderList();
+    }
+
+    /**
+     * Enables or disables a provider in the fallback chain.
+     * @param {string} providerId The id of the provider to toggle.
+     */
+    function toggleProvider(providerId) {
+        const disabled = currentConfig.disabledProviders.includes(providerId)
+            ? currentConfig.disabledProviders.filter(id => id !== providerId)
+            : [...currentConfig.disabledProviders, providerId];
+        saveConfig({ disabledProviders: disabled });
+        renderProviderList();
+    }
+
     /**
      * Toggles the visibility of the settings modal.
      * @param {boolean} visible Whether the modal should be visible.
      */
     function toggleSettingsModal(visible) {
         settingsModal.classList.toggle("visible", visible);
+        rebindingShortcut = null;
         if (visible) {
             updateSettingsModalUI();
         }
     }
 
+    /**
+     * Toggles the lyrics version chooser, rendering the current candidates when it opens.
+     * @param {boolean} visible Whether the chooser should be visible.
+     */
+    function toggleChooseModal(visible) {
+        if (visible) {
+            renderVersionChooser();
+        }
+        chooseModal.classList.toggle("visible", visible);
+    }
+
+    /**
+     * Renders one entry per available lyrics version with its source, line count and first line.
+     */
+    function renderVersionChooser() {
+        const items = availableLyrics.map((version, index) => {
+            const providerName = lyricsProviders.get(version.provider)?.name || version.provider;
+            const matched = version.match || version.query;
+            const source = lyricsProviders.get(version.provider)?.capabilities.byUri
+                ? 'Matched by track'
+                : [matched.trackName || matched.title, matched.artistName || matched.artist, matched.albumName || matched.album].filter(Boolean).join(' — ');
+            const firstLine = version.lyrics.find(line => line.text !== '♪')?.text || '♪';
+            const confidence = version.confidence < MATCH_CONFIDENCE_TRUSTED ? `Possible match · ${Math.round(version.confidence * 100)}%` : `${Math.round(version.confidence * 100)}% match`;
+            return `
+                <li data-version-index="${index}" class="${index === currentVersionIndex ? 'active' : ''}">
+                    <div class="lyrics-plus-version-title">Version ${index + 1} · ${providerName} · ${version.lyrics.length} lines · ${confidence}</div>
+                    <div class="lyrics-plus-version-source">${source}</div>
+                    <div class="lyrics-plus-version-preview">${firstLine}</div>
+                    ${index !== currentVersionIndex ? `<button class="lyrics-plus-version-translate" data-translation-index="${index}">Use as translation</button>` : ''}
+                </li>`;
+        }).join('');
+
+        chooseModal.innerHTML = `
+            <div class="lyrics-plus-choose-content">
+                <div class="lyrics-plus-settings-header">
+                    <h2>Lyrics Versions</h2>
+                    <button class="lyrics-plus-choose-close-btn" title="Close">
+                        <svg height="16" width="16" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M1.47 1.47a.75.75 0 011.06 0L8 6.94l5.47-5.47a.75.75 0 111.06 1.06L9.06 8l5.47 5.47a.75.75 0 11-1.06 1.06L8 9.06l-5.47 5.47a.75.75 0 01-1.06-1.06L6.94 8 1.47 2.53a.75.75 0 010-1.06z"></path>
+                        </svg>
+                    </button>
+                </div>
+                <ul class="lyrics-plus-choose-list">${items}</ul>
+                <button class="lyrics-plus-version-translate" id="lyrics-plus-versions-more-btn" title="Versions from other providers can also be used as translations">Search other providers</button>
+            </div>
+        `;
+    }
+
+    chooseModal.addEventListener('click', (e) => {
+        const target = e.target;
+        if (target.closest(".lyrics-plus-choose-close-btn") || target === chooseModal) {
+            toggleChooseModal(false);
+            return;
+        }
+        if (target.closest('#lyrics-plus-versions-more-btn')) {
+            lookupOtherProviderVersions(target.closest('#lyrics-plus-versions-more-btn'));
+            return;
+        }
+        const translateButton = target.closest('[data-translation-index]');
+        if (translateButton) {
+            useVersionAsTranslation(parseInt(translateButton.dataset.translationIndex, 10));
+            toggleChooseModal(false);
+            return;
+        }
+        const item = target.closest('[data-version-index]');
+        if (item) {
+            selectLyricsVersion(parseInt(item.dataset.versionIndex, 10));
+            toggleChooseModal(false);
+        }
+    });
+
     // Add a global keydown listener for the Escape key
     window.addEventListener('keydown', (event) => {
         if (event.key === 'Escape') {
-            if (settingsModal.classList.contains('visible')) {
+            if (cacheModal.classList.contains('visible')) {
+                toggleCacheModal(false);
+            } else if (chooseModal.classList.contains('visible')) {
+                toggleChooseModal(false);
+            } else if (settingsModal.classList.contains('visible')) {
                 toggleSettingsModal(false);
+            } else if (lyricsFind) {
+                closeLyricsFind();
             } else if (isPageVisible) {
                 togglePage(false);
             }
         }
     });
 
+    window.addEventListener('keydown', handleSyncEditorKeydown, true);
+    window.addEventListener('keydown', handleShortcutKeydown, true);
+
+    page.addEventListener('input', (event) => {
+        if (event.target.id === 'lyrics-plus-find-input') setFindQuery(event.target.value);
+    });
+
+    page.addEventListener('keydown', (event) => {
+        if (event.target.id !== 'lyrics-plus-find-input' || event.key !== 'Enter') return;
+        event.preventDefault();
+        stepFindMatch(event.shiftKey ? -1 : 1);
+    });
+
+    page.addEventListener('change', (event) => {
+        if (event.target.id === 'lyrics-plus-profile-select') applyProfile(event.target.value);
+    });
+
     // Use event delegation on the main page for all controls
     page.addEventListener('click', (event) => {
         const target = event.target;
@@ -985,12 +2455,12 @@
         else if (target.closest('#lyrics-plus-forward-btn')) Player.next();
         else if (target.closest('#lyrics-plus-backward-btn')) Player.back();
         else if (target.closest('#lyrics-plus-settings-btn')) toggleSettingsModal(true);
+        else if (target.closest('#lyrics-plus-versions-btn')) toggleChooseModal(true);
+        else if (target.closest('#lyrics-plus-sync-btn')) startSyncEditor();
+        else if (target.closest('[data-sync-action]')) handleSyncEditorAction(target.closest('[data-sync-action]').dataset.syncAction);
         else if (target.closest('#lyrics-plus-close-btn')) togglePage(false);
-        else if (target.closest('#lyrics-plus-resync-btn')) {
-            isSynced = true;
-            target.closest('#lyrics-plus-resync-btn').classList.remove('visible');
-            updateLyricsUI(Player.getProgress());
-        }
+        else if (target.closest('#lyrics-plus-resync-btn')) resyncLyrics();
+        else if (target.closest('[data-find-action]')) handleFindAction(target.closest('[data-find-action]').dataset.findAction);
         else if (target.closest('.lyrics-plus-progress-bar-container')) {
             const progressBar = target.closest('.lyrics-plus-progress-bar-container');
             const rect = progressBar.getBoundingClientRect();
@@ -998,18 +2468,31 @@
             const barWidth = progressBar.clientWidth;
             const seekPercentage = clickPosition / barWidth;
             const seekTime = Player.data.duration * seekPercentage;
-            Player.seek(seekTime);
+            seekPlayback(seekTime);
         } else {
             const line = event.target.closest('.lyrics-plus-line');
-            if (line && currentLyrics) {
-                const time = parseInt(line.dataset.time, 10);
-                if (!isNaN(time)) {
-                    Player.seek(time);
-                }
+            if (line && syncEditor && !syncEditor.previewing) {
+                stampSyncLine(parseInt(line.dataset.index, 10));
+            } else if (line && currentLyrics && !lyricsEstimated && (syncHereArmed || event.altKey)) {
+                syncHere(line);
+            } else if (line && currentLyrics) {
+                seekToLine(line);
             }
         }
     });
 
+    /**
+     * Seeks playback to the start of a lyric line.
+     * @param {HTMLElement} lineEl
+     * @returns {boolean} Whether the line has a time to seek to.
+     */
+    function seekToLine(lineEl) {
+        const time = parseInt(lineEl.dataset.time, 10);
+        if (isNaN(time)) return false;
+        seekPlayback(time);
+        return true;
+    }
+
     /**
      * Toggles the visibility of the main lyrics page.
      * @param {boolean} visible Whether the page should be visible.
@@ -1023,8 +2506,10 @@
         if (currentTrack) {
             fetchLyrics(currentTrack); // Ensure lyrics are fetched on open
         }
+        startPlaybackClock();
         updatePlayerControlsUI(Player.data);
-        updateLyricsUI(Player.getProgress());
+        updateLyricsUI(getPlaybackPosition());
+        resumeBackgroundRenderer();
     }
     }
 
@@ -1042,6 +2527,11 @@
         const song_title = track?.metadata?.title || '';
         const artist_names = track?.metadata?.artist_name || '';
 
+        lineResizeObserver.disconnect();
+        lineList = null; // The content element is replaced below
+        lyricsScrollY = 0;
+        currentBreak = null;
+        lyricsFind = null; // The find bar is rendered closed below
         page.innerHTML = `
           <div id="lyrics-plus-background"></div>
           <div class="lyrics-plus-content-wrapper">
@@ -1057,6 +2547,17 @@
                         <circle id="lyrics-plus-settings-indicator" cx="12" cy="12" r="3" fill="#888" stroke="none"></circle>
                     </svg>
                 </button>
+                <button id="lyrics-plus-versions-btn" title="Lyrics versions">
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M12 3L3 8L12 13L21 8L12 3Z M3 13L12 18L21 13 M3 17L12 22L21 17" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                    <span id="lyrics-plus-versions-count"></span>
+                </button>
+                <button id="lyrics-plus-sync-btn" title="Sync these lyrics">
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M12 7V12L15 14 M21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    </svg>
+                </button>
             </div>
             <div class="lyrics-plus-player-info">
                 <div class="lyrics-plus-album-title">${album_title}</div>
@@ -1082,34 +2583,85 @@
                     </div>
                 </div>
             </div>
+            <select id="lyrics-plus-profile-select" title="Appearance profile"></select>
+            <div id="lyrics-plus-source-badge"></div>
+            <div id="lyrics-plus-find-bar">
+              <input type="text" id="lyrics-plus-find-input" placeholder="Find in lyrics" spellcheck="false" autocomplete="off">
+              <span id="lyrics-plus-find-count"></span>
+              <button data-find-action="previous" title="Previous match (Shift+Enter)">↑</button>
+              <button data-find-action="next" title="Next match (Enter)">↓</button>
+              <button data-find-action="seek" title="Also seek to the selected match">Seek</button>
+              <button data-find-action="close" title="Close (Esc)">✕</button>
+            </div>
             <div class="lyrics-plus-viewport lyrics-hidden">
               <div class="lyrics-plus-content"></div>
               <button id="lyrics-plus-resync-btn">Re-sync</button>
             </div>
+            <div id="lyrics-plus-sync-toolbar">
+              <span class="lyrics-plus-sync-hint">Space/Enter stamp · ↑↓ select · ←→ nudge (Shift: fine) · Backspace clear</span>
+              <button data-sync-action="preview">Preview</button>
+              <button data-sync-action="save">Save</button>
+              <button data-sync-action="export">Export LRC</button>
+              <button data-sync-action="cancel">Cancel</button>
+            </div>
           </div>
         `;
+        playerControls = {
+            playPauseBtn: page.querySelector('#lyrics-plus-play-pause-btn'),
+            progressBar: page.querySelector('#lyrics-plus-progress-bar'),
+            currentTimeEl: page.querySelector('#lyrics-plus-time-current'),
+            totalTimeEl: page.querySelector('#lyrics-plus-time-total'),
+            currentSecond: null,
+            totalSecond: null,
+        };
         // Handle background and color logic
         const background = page.querySelector("#lyrics-plus-background");
-        const playPauseBtn = page.querySelector("#lyrics-plus-play-pause-btn");
+        const { playPauseBtn } = playerControls;
+        const backgroundMode = currentConfig.backgroundMode;
+        stopBackgroundRenderer();
 
-        if (currentConfig.performanceMode) {
+        if (currentConfig.themeMode === 'fixed') {
             background.style.backgroundImage = 'none';
-            getDominantColors(image_url, (colors) => {
-                const primaryColor = colors[0] || 'rgb(80,80,80)';
-                const gradient = `linear-gradient(135deg, ${colors.join(', ')})`;
-                background.style.backgroundImage = gradient;
-                updateControlColors(playPauseBtn, primaryColor);
-            });
+            background.style.backgroundColor = getThemeColor('background');
+            updateControlColors(playPauseBtn, getThemeColor('accent'));
         } else {
-            background.style.backgroundImage = `url(${image_url})`;
-            background.style.backgroundColor = 'transparent';
-             getDominantColors(image_url, (colors) => {
-                const primaryColor = colors[0] || 'rgb(80,80,80)';
-                updateControlColors(playPauseBtn, primaryColor);
+            if (backgroundMode === 'cover' && !currentConfig.performanceMode) {
+                background.style.backgroundImage = `url(${image_url})`;
+                background.style.backgroundColor = 'transparent';
+            } else {
+                background.style.backgroundImage = 'none';
+                background.style.backgroundColor = backgroundMode === 'solid' ? getThemeColor('background') : 'transparent';
+            }
+            Promise.all([
+                getAlbumPalette(image_url),
+                backgroundMode === 'tiles' && image_url ? loadImage(image_url).catch(() => null) : null,
+            ]).then(([palette, coverImage]) => {
+                if (!background.isConnected) return; // The shell was rendered again meanwhile
+                if (backgroundMode === 'mesh' || backgroundMode === 'tiles') {
+                    // Without a readable cover, tiles fall back to the mesh
+                    startBackgroundRenderer(background, coverImage ? backgroundMode : 'mesh', palette, coverImage);
+                } else if (backgroundMode === 'cover' && currentConfig.performanceMode) {
+                    background.style.backgroundImage = `linear-gradient(135deg, ${palette.swatches.slice(0, 3).join(', ')})`;
+                }
+                updateControlColors(playPauseBtn, pickAccentColor(palette));
             });
         }
+        updateProfileSelect();
         
         const viewport = page.querySelector('.lyrics-plus-viewport');
+        viewport.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            viewport.classList.add('drag-over');
+        });
+        viewport.addEventListener('dragleave', () => viewport.classList.remove('drag-over'));
+        viewport.addEventListener('drop', (e) => {
+            e.preventDefault();
+            viewport.classList.remove('drag-over');
+            const file = e.dataTransfer?.files?.[0];
+            if (file) importLRCFile(file);
+        });
+
         viewport.addEventListener('wheel', (e) => {
             if (!currentLyrics) return;
             
@@ -1117,267 +2669,1902 @@
             isSynced = false;
             document.getElementById('lyrics-plus-resync-btn').classList.add('visible');
 
-            const content = page.querySelector('.lyrics-plus-content');
-            const currentTransform = new DOMMatrix(getComputedStyle(content).transform);
-            let currentY = currentTransform.m42;
-            let newY = currentY - e.deltaY;
-
-            // Clamp the scroll
-            const maxScroll = 0;
-            const minScroll = -(content.scrollHeight - viewport.clientHeight);
-            newY = Math.max(minScroll, Math.min(maxScroll, newY));
-
-            content.style.transition = 'none'; // Disable smooth transition for manual scroll
-            content.style.transform = `translateY(${newY}px)`;
+            scrollLinesBy(e.deltaY); // Without the smooth transition, so the wheel feels direct
 
             scrollTimeout = setTimeout(() => {
                 isSynced = true;
                 document.getElementById('lyrics-plus-resync-btn').classList.remove('visible');
-                updateLyricsUI(Player.getProgress());
+                updateLyricsUI(getPlaybackPosition());
             }, 3000);
         });
 
+        updateVersionsButton();
+        updateSyncEditorControls();
+        setSourceBadge(currentSourceBadge);
         applyConfig(); // Re-apply config to the newly rendered page
     }
 
+    /**
+     * Shows a short note about where the lyrics came from above the lyrics, or hides it when empty.
+     * @param {string} text The badge text.
+     */
+    function setSourceBadge(text) {
+        currentSourceBadge = text;
+        const badgeEl = page.querySelector('#lyrics-plus-source-badge');
+        if (!badgeEl) return;
+        badgeEl.textContent = text;
+        badgeEl.classList.toggle('visible', !!text);
+    }
+
+    /**
+     * Shows the version switcher button whenever looked-up lyrics are shown. With a single version it still
+     * leads to the search for versions from other providers.
+     */
+    function updateVersionsButton() {
+        const versionsBtn = page.querySelector('#lyrics-plus-versions-btn');
+        if (!versionsBtn) return;
+        versionsBtn.classList.toggle('visible', availableLyrics.length > 0);
+        versionsBtn.querySelector('#lyrics-plus-versions-count').textContent = `${currentVersionIndex + 1}/${availableLyrics.length}`;
+    }
+
+    /**
+     * Switches the displayed lyrics to another available version and remembers the choice for this track.
+     * @param {number} index The index of the version in `availableLyrics`.
+     */
+    function selectLyricsVersion(index) {
+        const version = availableLyrics[index];
+        const trackUri = Player.data?.item?.uri;
+        if (!version || !trackUri || page.dataset.uri !== trackUri) return;
+
+        currentVersionIndex = index;
+        setCurrentLyrics(version.lyrics);
+        currentActiveLineIndex = -1;
+        saveVersionChoice(trackUri, version.key);
+        if (currentConfig.autoCache) {
+            cacheCurrentSongLyrics();
+        } else {
+            getCachedLyrics(trackUri, { touch: false }).then(entry => entry && cacheCurrentSongLyrics());
+        }
+
+        renderLyricsContent(buildLyricsHtml(currentLyrics));
+        updateLyricsUI(getPlaybackPosition());
+        updateVersionsButton();
+        setSourceBadge('');
+        updateStatusIndicator('online', `Showing version ${index + 1} of ${availableLyrics.length}`);
+    }
+
     /**
      * Renders the actual lyrics lines or a message into the content area.
-     * @param {string} html The HTML string to render.
+     * @param {string[]|string} content The markup of each line, or a message.
      */
-    function renderLyricsContent(html) {
+    function renderLyricsContent(content) {
         const contentContainer = page.querySelector('.lyrics-plus-content');
         if (contentContainer) {
-            if (html.startsWith('<p')) { // It's lyrics
-                contentContainer.innerHTML = html;
+            if (Array.isArray(content)) { // It's lyrics
+                renderLineList(contentContainer, content);
             } else { // It's a message
-                contentContainer.innerHTML = `<p class="lyrics-plus-message">${html}</p>`;
+                lineResizeObserver.disconnect();
+                lineList = null;
+                contentContainer.innerHTML = `<p class="lyrics-plus-message">${content}</p>`;
+                setContentScroll(-contentContainer.parentElement.clientHeight / 2, false);
             }
+            updateFindMatches();
         }
     }
 
     /**
-     * Determines if a color is light or dark.
-     * @param {string} color The RGB color string (e.g., "rgb(255, 100, 0)").
-     * @returns {boolean} True if the color is light, false otherwise.
+     * Re-renders whatever lyrics are currently shown, e.g. after a setting that affects the markup changed.
      */
-    function isColorLight(color) {
-        const [r, g, b] = color.match(/\d+/g).map(Number);
-        // Using the HSP (Highly Sensitive Poo) equation to determine brightness
-        const hsp = Math.sqrt(0.299 * (r * r) + 0.587 * (g * g) + 0.114 * (b * b));
-        return hsp > 127.5;
+    function refreshLyricsContent() {
+        if (syncEditor && !syncEditor.previewing) {
+            renderSyncEditor();
+        } else if (lyricsEstimated) {
+            renderPlainLyrics();
+        } else if (currentLyrics) {
+            renderLyricsContent(buildLyricsHtml(currentLyrics));
+            updateLyricsUI(getPlaybackPosition());
+        } else if (currentPlainLyrics) {
+            renderPlainLyrics();
+        }
     }
 
     /**
-     * Updates the colors of player controls based on the primary color of the artwork.
-     * @param {HTMLElement} playPauseBtn The play/pause button element.
-     * @param {string} primaryColor The primary color string.
+     * Makes the given lyrics the displayed ones, with the current track's translation merged in.
+     * @param {Array<{time: number, text: string}>} lyrics The lyrics from a provider, the cache or a file.
      */
-    function updateControlColors(playPauseBtn, primaryColor) {
-        const progressBar = page.querySelector("#lyrics-plus-progress-bar");
-        if (progressBar) progressBar.style.backgroundColor = primaryColor;
-        if (playPauseBtn) {
-            playPauseBtn.style.backgroundColor = primaryColor;
-            playPauseBtn.style.color = isColorLight(primaryColor) ? 'black' : 'white';
+    function setCurrentLyrics(lyrics) {
+        currentLyrics = mergeTranslation(lyrics, currentTranslation?.lyrics);
+    }
+
+    const ESTIMATE_EDGE_RATIO = 0.06; // Share of the track assumed to be intro, and again outro
+    const ESTIMATE_LINE_BASE_WEIGHT = 6; // Characters' worth of time every line gets regardless of its length
+    const ESTIMATE_STANZA_BREAK_WEIGHT = 20; // Characters' worth of pause for a blank line between stanzas
+
+    /**
+     * Spreads unsynced lines across a track, giving longer lines and stanza breaks more time.
+     * @param {string[]} lines The plain lyrics lines; blank lines mark stanza breaks and are dropped.
+     * @param {number} durationMs The track duration.
+     * @returns {Array<{time: number, text: string}>} Lyrics with estimated start times.
+     */
+    function estimateLineTimings(lines, durationMs) {
+        const start = durationMs * ESTIMATE_EDGE_RATIO;
+        const span = durationMs * (1 - 2 * ESTIMATE_EDGE_RATIO);
+        const weights = lines.map(text => text.trim() ? ESTIMATE_LINE_BASE_WEIGHT + Array.from(text.trim()).length : ESTIMATE_STANZA_BREAK_WEIGHT);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        const lyrics = [];
+        let elapsedWeight = 0;
+        lines.forEach((text, index) => {
+            if (text.trim()) {
+                lyrics.push({ time: Math.round(start + span * (elapsedWeight / totalWeight)), text });
+            }
+            elapsedWeight += weights[index];
+        });
+        return lyrics;
+    }
+
+    /**
+     * Marks whether the displayed lyrics run on estimated timings, which scroll more gently.
+     * @param {boolean} estimated
+     */
+    function setLyricsEstimated(estimated) {
+        lyricsEstimated = estimated;
+        page.querySelector('.lyrics-plus-viewport')?.classList.toggle('estimated', estimated);
+    }
+
+    /**
+     * Renders the unsynced lyrics. When the track duration is known the lines scroll on estimated timings,
+     * otherwise they are shown as a static list.
+     */
+    function renderPlainLyrics() {
+        const duration = Number(Player.data?.item?.metadata?.duration) || Player.data?.duration || 0;
+        const estimated = duration > 0 ? estimateLineTimings(currentPlainLyrics, duration) : [];
+        if (estimated.length) {
+            currentLyrics = estimated;
+            currentActiveLineIndex = -1;
+            setLyricsEstimated(true);
+            renderLyricsContent(buildLyricsHtml(currentLyrics));
+            setSourceBadge('Estimated timing');
+            updateLyricsUI(getPlaybackPosition());
+        } else {
+            currentLyrics = null;
+            setLyricsEstimated(false);
+            const plainHtml = currentPlainLyrics.map(line => `<p class="lyrics-plus-line visible active">${line || '♪'}${buildRomanizationHtml(line)}</p>`);
+            renderLyricsContent(plainHtml);
+            scrollToLine(0);
+            // Nothing will ever become active to reveal these, so show them right away
+            page.querySelector('.lyrics-plus-viewport')?.classList.remove('lyrics-hidden');
         }
+        updateSyncEditorControls();
+    }
+
+    /**
+     * Ends manual scrolling and snaps the lyrics back to the playing line.
+     */
+    function resyncLyrics() {
+        clearTimeout(scrollTimeout);
+        isSynced = true;
+        page.querySelector('#lyrics-plus-resync-btn')?.classList.remove('visible');
+        if (currentLyrics && currentActiveLineIndex > -1) scrollToLine(currentActiveLineIndex);
+        updateLyricsUI(getPlaybackPosition());
     }
 
     /**
-     * Extracts a palette of dominant colors from an image URL using the Median Cut algorithm.
-     * @param {string} imageUrl The URL of the image.
-     * @param {(colors: string[]) => void} callback The function to call with the array of color strings.
-     * @param {number} [paletteSize=3] The number of dominant colors to extract.
+     * Arms "sync here": the next click on a lyric line sets the offset from the playback position.
      */
-    function getDominantColors(imageUrl, callback, paletteSize = 3) {
-        if (!imageUrl) {
-            callback(['rgb(80,80,80)']);
+    function armSyncHere() {
+        if (!currentLyrics || lyricsEstimated) {
+            Spicetify.showNotification("Sync here needs synced lyrics.", true);
             return;
         }
-        const img = new Image();
-        img.crossOrigin = "Anonymous";
-        img.src = imageUrl;
-        img.onload = () => {
-            const canvas = document.createElement("canvas");
-            const ctx = canvas.getContext("2d");
-            canvas.width = img.width;
-            canvas.height = img.height;
-            ctx.drawImage(img, 0, 0);
-
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const pixels = [];
-            // Get pixel data but skip transparent/white/black pixels for better results
-            for (let i = 0; i < imageData.data.length; i += 4) {
-                const r = imageData.data[i];
-                const g = imageData.data[i + 1];
-                const b = imageData.data[i + 2];
-                const a = imageData.data[i + 3];
-                if (a < 125 || (r > 250 && g > 250 && b > 250) || (r < 10 && g < 10 && b < 10)) {
-                    continue;
-                }
-                pixels.push([r, g, b]);
-            }
-
-            if (pixels.length === 0) {
-                 callback(['rgb(80,80,80)']);
-                 return;
-            }
+        syncHereArmed = true;
+        page.classList.add('sync-here-armed');
+        toggleSettingsModal(false);
+        Spicetify.showNotification("Click the line you are hearing right now.");
+    }
 
-            // --- Median Cut Algorithm ---
-            const buckets = [pixels];
+    /**
+     * Sets the track offset so that the given line starts at the current playback position.
+     * @param {HTMLElement} lineEl The clicked line.
+     */
+    function syncHere(lineEl) {
+        syncHereArmed = false;
+        page.classList.remove('sync-here-armed');
+        const track = Player.data?.item;
+        const lineTime = parseInt(lineEl.dataset.time, 10);
+        if (!track?.uri || isNaN(lineTime)) return;
+        // The total offset has to become progress - lineTime; the track layer absorbs the difference
+        const delta = Math.round(getPlaybackPosition() - lineTime) - getOffsetForTrack(track);
+        setOffset('tracks', track.uri, getOffset('tracks', track.uri) + delta);
+        Spicetify.showNotification(`Lyrics offset: ${getOffsetForTrack(track)} ms`);
+    }
 
-            while (buckets.length < paletteSize) {
-                // Find the bucket with the greatest color range to split
-                let bucketToSplit = buckets.shift();
-                if (!bucketToSplit || bucketToSplit.length === 0) break;
+    // --- INSTRUMENTAL BREAKS ---
+    // Every synced line carries a hidden "♪ • • •" indicator above its text, and the last line one below. During an
+    // intro, a long gap or the outro, the line after the break (or the last line) shows it and the dots fill up as the
+    // break runs out. Keeping the indicator inside a line leaves the line indexes untouched.
+    const BREAK_LINE_ALLOWANCE = 4000; // ms a line without word timings is assumed to be sung before its gap counts as a break
+    const BREAK_INDICATOR_HTML = '♪<i></i><i></i><i></i>';
+    /** @type {{index: number, position: 'before'|'after', progress: number}|null} */
+    let currentBreak = null;
 
-                // Find the channel (R, G, or B) with the widest range
-                let maxRange = -1;
-                let channelIndex = -1;
-                for (let i = 0; i < 3; i++) {
-                    let min = 255, max = 0;
-                    for (const pixel of bucketToSplit) {
-                        min = Math.min(min, pixel[i]);
-                        max = Math.max(max, pixel[i]);
-                    }
-                    const range = max - min;
-                    if (range > maxRange) {
-                        maxRange = range;
-                        channelIndex = i;
-                    }
-                }
+    /**
+     * Estimates when the singing of a line ends: at its last word when word timings exist.
+     * @param {{time: number, words?: Array<{end: number}>}} line
+     * @param {number} nextTime When the following line (or the track) starts.
+     * @returns {number}
+     */
+    function getLineEndTime(line, nextTime) {
+        if (line.words?.length) return Math.min(line.words[line.words.length - 1].end, nextTime);
+        return line.time + Math.min(BREAK_LINE_ALLOWANCE, (nextTime - line.time) / 2);
+    }
 
-                // Sort the bucket by the channel with the widest range
-                bucketToSplit.sort((a, b) => a[channelIndex] - b[channelIndex]);
+    /**
+     * Finds the break playing at a position, if any. A break is the silence between the end of a line and the start
+     * of the next one (or the end of the track), not the time from line start to line start.
+     * @param {number} progressMs The offset-adjusted position.
+     * @param {number} activeIndex The active line.
+     * @returns {{index: number, position: 'before'|'after', progress: number}|null} The line showing the indicator,
+     *     on which side, and how far the break has run, 0-1.
+     */
+    function findBreak(progressMs, activeIndex) {
+        const threshold = currentConfig.breakIndicatorSeconds * 1000;
+        if (!threshold || lyricsEstimated || !currentLyrics?.length) return null;
+        const makeBreak = (index, position, start, end) =>
+            (progressMs >= start && end > start ? { index, position, progress: Math.min(1, (progressMs - start) / (end - start)) } : null);
+
+        if (activeIndex === -1) {
+            return currentLyrics[0].time >= threshold ? makeBreak(0, 'before', 0, currentLyrics[0].time) : null;
+        }
+        const line = currentLyrics[activeIndex];
+        const next = currentLyrics[activeIndex + 1];
+        if (next) {
+            const end = getLineEndTime(line, next.time);
+            return next.time - end >= threshold ? makeBreak(activeIndex + 1, 'before', end, next.time) : null;
+        }
+        const trackEnd = (playbackClock.duration || Player.data?.duration || 0) - getCurrentTrackOffset();
+        const end = getLineEndTime(line, trackEnd);
+        return trackEnd - end >= threshold ? makeBreak(activeIndex, 'after', end, trackEnd) : null;
+    }
 
-                // Split the bucket at the median
-                const mid = Math.floor(bucketToSplit.length / 2);
-                buckets.push(bucketToSplit.slice(0, mid));
-                buckets.push(bucketToSplit.slice(mid));
+    /**
+     * Shows, moves or hides the break indicator and advances its countdown.
+     * @param {number} progressMs The offset-adjusted position.
+     */
+    function updateBreakIndicator(progressMs) {
+        const nextBreak = findBreak(progressMs, currentActiveLineIndex);
+        const changed = nextBreak?.index !== currentBreak?.index || nextBreak?.position !== currentBreak?.position;
+        const previousBreak = currentBreak;
+        currentBreak = nextBreak;
+
+        if (changed) {
+            [previousBreak?.index, nextBreak?.index].forEach(index => {
+                const lineEl = getLineElement(index);
+                if (lineEl) applyLineState(lineEl, index);
+            });
+            const viewportEl = page.querySelector('.lyrics-plus-viewport');
+            viewportEl?.classList.toggle('in-break', !!nextBreak);
+            if (nextBreak) {
+                viewportEl?.classList.remove('lyrics-hidden'); // The intro shows its countdown before the first line
+                // Only the intro has no active line to keep centred; later breaks show right below the active line,
+                // and the view moves on when the next line starts
+                if (isSynced && currentActiveLineIndex === -1) scrollToLine(nextBreak.index);
             }
+        }
 
-            // Calculate the average color of each bucket
-            const dominantColors = buckets.map(bucket => {
-                if (bucket.length === 0) return 'rgb(80,80,80)';
-                let r = 0, g = 0, b = 0;
-                for (const pixel of bucket) {
-                    r += pixel[0];
-                    g += pixel[1];
-                    b += pixel[2];
-                }
-                r = Math.floor(r / bucket.length);
-                g = Math.floor(g / bucket.length);
-                b = Math.floor(b / bucket.length);
-                return `rgb(${r}, ${g}, ${b})`;
-            });
+        const indicatorEl = nextBreak && getLineElement(nextBreak.index)?.querySelector(`.lyrics-plus-break.${nextBreak.position}`);
+        if (indicatorEl) {
+            const value = nextBreak.progress.toFixed(2);
+            if (indicatorEl.style.getPropertyValue('--break-progress') !== value) indicatorEl.style.setProperty('--break-progress', value);
+        }
+    }
 
-            callback(dominantColors);
-        };
-        img.onerror = () => {
-            callback(['rgb(80,80,80)']);
-        };
+    // --- FIND IN LYRICS ---
+    // Matches are line indexes into the displayed lyrics, found in the lyrics data rather than the DOM, since only a
+    // window of lines around the focus is rendered.
+    /** @type {{query: string, matches: number[], current: number}|null} */
+    let lyricsFind = null;
+
+    /**
+     * Returns the searchable text of each displayed line, in line order.
+     * @returns {string[]} Empty while nothing searchable is shown, e.g. a message or the sync editor.
+     */
+    function getFindableLines() {
+        if (!lineList || (syncEditor && !syncEditor.previewing)) return [];
+        if (currentLyrics) return currentLyrics.map(line => (line.secondary ? `${line.text}\n${line.secondary}` : line.text));
+        return currentPlainLyrics || [];
     }
-    
-    // --- CACHING FUNCTIONS ---
-    function getCache() {
-        try {
-            const cache = Spicetify.LocalStorage.get(CACHE_KEY);
-            return cache ? JSON.parse(cache) : {};
-        } catch (e) {
-            console.error("[Lyrics+] Error reading cache, clearing it.", e);
-            clearCache();
-            return {};
+
+    /**
+     * Folds case and accents, so "cafe" finds "Café".
+     * @param {string} text
+     * @returns {string}
+     */
+    function normalizeFindText(text) {
+        return text.normalize('NFD').replace(/\p{M}/gu, '').toLocaleLowerCase();
+    }
+
+    /**
+     * Searches the displayed lines for the current query and updates the highlights and the find bar.
+     */
+    function updateFindMatches() {
+        if (!lyricsFind) return;
+        const query = normalizeFindText(lyricsFind.query.trim());
+        lyricsFind.matches = [];
+        if (query) {
+            getFindableLines().forEach((text, index) => {
+                if (text && normalizeFindText(text).includes(query)) lyricsFind.matches.push(index);
+            });
         }
+        lyricsFind.current = Math.min(lyricsFind.current, lyricsFind.matches.length - 1);
+        refreshLineStates();
+        updateFindBar();
     }
 
-    function saveCache(cache) {
-        Spicetify.LocalStorage.set(CACHE_KEY, JSON.stringify(cache));
+    /**
+     * Shows the match count and the seek toggle state in the find bar.
+     */
+    function updateFindBar() {
+        const findBar = page.querySelector('#lyrics-plus-find-bar');
+        if (!findBar || !lyricsFind) return;
+        const { query, matches, current } = lyricsFind;
+        let countText = '';
+        if (query.trim()) {
+            if (!matches.length) countText = 'No matches';
+            else countText = current > -1 ? `${current + 1}/${matches.length}` : `${matches.length} found`;
+        }
+        findBar.querySelector('#lyrics-plus-find-count').textContent = countText;
+        findBar.querySelector('[data-find-action="seek"]').classList.toggle('active', currentConfig.findSeeks);
     }
-    
-    function clearCache() {
-        Spicetify.LocalStorage.remove(CACHE_KEY);
+
+    /**
+     * Opens the find bar, or selects its text when it is already open.
+     */
+    function openLyricsFind() {
+        const findBar = page.querySelector('#lyrics-plus-find-bar');
+        if (!findBar) return;
+        if (!lyricsFind) lyricsFind = { query: '', matches: [], current: -1 };
+        findBar.classList.add('visible');
+        updateFindBar();
+        const input = findBar.querySelector('#lyrics-plus-find-input');
+        input.focus();
+        input.select();
     }
 
-    function cacheCurrentSongLyrics() {
-        if (!currentLyrics || !Player.data?.item) return;
-        
-        const trackUri = Player.data.item.uri;
-        const cache = getCache();
-        
-        cache[trackUri] = {
-            lyrics: currentLyrics,
-            timestamp: Date.now()
-        };
-        
-        saveCache(cache);
+    /**
+     * Closes the find bar, clears the highlights and returns to the playing line.
+     */
+    function closeLyricsFind() {
+        if (!lyricsFind) return;
+        lyricsFind = null;
+        const findBar = page.querySelector('#lyrics-plus-find-bar');
+        if (findBar) {
+            findBar.classList.remove('visible');
+            findBar.querySelector('#lyrics-plus-find-input').value = '';
+        }
+        refreshLineStates();
+        if (currentLyrics && !isSynced) resyncLyrics();
     }
 
-    function clearCurrentSongCache() {
-        const trackUri = Player.data?.item?.uri;
-        if (!trackUri) return;
+    /**
+     * Highlights the lines matching a new query. Typing only highlights; Enter moves to a match.
+     * @param {string} query
+     */
+    function setFindQuery(query) {
+        if (!lyricsFind) return;
+        lyricsFind.query = query;
+        lyricsFind.current = -1;
+        updateFindMatches();
+    }
 
-        const cache = getCache();
-        if (cache[trackUri] && track.uri === latestFetchUri) {
-            delete cache[trackUri];
-            saveCache(cache);
+    /**
+     * Moves to the next or previous match. The first step starts from the playing line.
+     * @param {number} direction 1 for the next match, -1 for the previous one.
+     */
+    function stepFindMatch(direction) {
+        const count = lyricsFind?.matches.length;
+        if (!count) return;
+        let next;
+        if (lyricsFind.current > -1) {
+            next = lyricsFind.current + direction;
+        } else {
+            const firstAfter = lyricsFind.matches.findIndex(index => index > currentActiveLineIndex);
+            const start = firstAfter === -1 ? count : firstAfter;
+            next = direction > 0 ? start : start - 1;
         }
+        selectFindMatch((next + count) % count);
     }
 
     /**
-     * Removes extra information from a string to improve search accuracy.
-     * @param {string} text The text to clean.
-     * @returns {string} The cleaned text.
+     * Scrolls to a match and, when enabled, seeks playback to its line like clicking the line would.
+     * @param {number} matchIndex Index into `lyricsFind.matches`.
      */
-    function cleanText(text) {
-        if (!text) return '';
-        let cleanedText = text;
+    function selectFindMatch(matchIndex) {
+        lyricsFind.current = matchIndex;
+        const lineIndex = lyricsFind.matches[matchIndex];
+        page.querySelector('.lyrics-plus-viewport')?.classList.remove('lyrics-hidden');
+        scrollToLine(lineIndex);
+        refreshLineStates();
+        updateFindBar();
+
+        const lineEl = getLineElement(lineIndex);
+        if (currentConfig.findSeeks && lineEl && seekToLine(lineEl)) {
+            resyncLyrics();
+        } else if (currentLyrics) {
+            // Stay on the match instead of snapping back to the playing line, until Re-sync or the bar is closed
+            clearTimeout(scrollTimeout);
+            isSynced = false;
+            page.querySelector('#lyrics-plus-resync-btn')?.classList.add('visible');
+        }
+    }
 
-        // Remove specific phrases like "- Remastered 2023", "- Live at...", etc.
-        cleanedText = cleanedText.replace(/\s-\s.*?(remaster|live|edit|version|mix|deluxe).*/i, '');
+    /**
+     * Runs a find bar button.
+     * @param {'previous'|'next'|'seek'|'close'} action
+     */
+    function handleFindAction(action) {
+        switch (action) {
+            case 'previous':
+                stepFindMatch(-1);
+                break;
+            case 'next':
+                stepFindMatch(1);
+                break;
+            case 'seek':
+                saveConfig({ findSeeks: !currentConfig.findSeeks });
+                updateFindBar();
+                break;
+            case 'close':
+                closeLyricsFind();
+                break;
+        }
+    }
 
-        // Remove anything in parentheses or brackets (often contains redundant info)
-        cleanedText = cleanedText.replace(/\s*\(.*?\)\s*|\s*\[.*?\]\s*/g, '');
+    // --- LINE VIRTUALIZATION ---
+    // Only a window of lines around the focused one is in the DOM, between two spacers standing in for the rest.
+    // Rendered lines are measured by a ResizeObserver and their heights cached; prefix sums of the heights give every
+    // line's position, so scrolling never has to read layout.
+    const LINE_WINDOW_RADIUS = 25; // Lines rendered on either side of the focused line
+    const LINE_HEIGHT_ESTIMATE = 64; // px, for unmeasured lines until any line has been measured
+    /** @type {{contentEl: HTMLElement, topSpacer: HTMLElement, bottomSpacer: HTMLElement, html: string[], heights: number[], offsets: number[], start: number, end: number, elements: Map<number, HTMLElement>, focus: number}|null} */
+    let lineList = null;
+    let lyricsScrollY = 0; // Current scroll position of the content, in px from the top of the first line
+    let lyricsViewportSize = { width: 0, height: 0 };
+    const lineResizeObserver = new ResizeObserver(handleLineResize);
 
-        // Remove featured artists
-        cleanedText = cleanedText.replace(/\s(feat|ft)\..*/i, '');
+    /**
+     * Replaces the content with a virtualized list of lines. The scroll position is kept; callers scroll afterwards.
+     * @param {HTMLElement} contentEl The .lyrics-plus-content element.
+     * @param {string[]} linesHtml The markup of each line.
+     */
+    function renderLineList(contentEl, linesHtml) {
+        lineResizeObserver.disconnect();
+        contentEl.innerHTML = '<div class="lyrics-plus-line-spacer"></div><div class="lyrics-plus-line-spacer"></div>';
+        const [topSpacer, bottomSpacer] = contentEl.children;
+        lineList = {
+            contentEl, topSpacer, bottomSpacer,
+            html: linesHtml,
+            heights: new Array(linesHtml.length).fill(NaN),
+            offsets: [],
+            start: 0,
+            end: -1,
+            elements: new Map(),
+            focus: 0,
+        };
+        const viewportEl = contentEl.parentElement;
+        lyricsViewportSize = { width: viewportEl.clientWidth, height: viewportEl.clientHeight };
+        lineResizeObserver.observe(viewportEl);
+        updateLineOffsets();
+        renderLineWindow(Math.max(0, Math.min(currentActiveLineIndex, linesHtml.length - 1)));
+    }
 
-        // Take only the primary artist if multiple are listed
-        cleanedText = cleanedText.split(/,|\/|&|;/)[0];
-        
-        // Final trim to remove any leading/trailing spaces
-        return cleanedText.trim();
+    /**
+     * Returns the element of a line if it is currently rendered.
+     * @param {number} index
+     * @returns {HTMLElement|null}
+     */
+    function getLineElement(index) {
+        return lineList?.elements.get(index) || null;
     }
-    
+
     /**
-     * Generates a list of search permutations for a track.
-     * @param {object} meta The track metadata.
-     * @returns {Array<{title: string, artist: string, album: string}>}
+     * Sets the past/active classes of a synced line from its position relative to the active line, and the find
+     * highlights of any line. Sync editor and static lines carry their other classes in their markup.
+     * @param {HTMLElement} lineEl
+     * @param {number} index
      */
-    function getSearchPermutations(meta) {
-        const originalTitle = meta.title || '';
-        const originalArtist = meta.artist_name || '';
-        const originalAlbum = meta.album_title || '';
+    function applyLineState(lineEl, index) {
+        lineEl.classList.toggle('find-match', !!lyricsFind?.matches.includes(index));
+        lineEl.classList.toggle('find-current', lyricsFind?.matches[lyricsFind.current] === index);
+        if (lineEl.dataset.time === undefined) return;
+        lineEl.classList.toggle('past', index < currentActiveLineIndex);
+        lineEl.classList.toggle('active', index === currentActiveLineIndex);
+        if (index <= currentActiveLineIndex) lineEl.classList.add('visible');
+        if (index === currentActiveLineIndex) activeWordElements = Array.from(lineEl.querySelectorAll('.lyrics-plus-word'));
+        lineEl.classList.toggle('break-before', currentBreak?.index === index && currentBreak.position === 'before');
+        lineEl.classList.toggle('break-after', currentBreak?.index === index && currentBreak.position === 'after');
+    }
 
-        const titleVariations = new Set([originalTitle, cleanText(originalTitle)]);
-        const artistVariations = new Set([originalArtist, cleanText(originalArtist)]);
-        const albumVariations = new Set([originalAlbum, cleanText(originalAlbum), '']);
+    /**
+     * Re-applies the line states to every rendered line, e.g. after the active line changed.
+     */
+    function refreshLineStates() {
+        activeWordElements = [];
+        lineList?.elements.forEach((lineEl, index) => applyLineState(lineEl, index));
+    }
 
-        // Add individual artists to the set
-        originalArtist.split(/,|\/|&|;|feat\.|ft\./i).forEach(artist => {
-            const trimmedArtist = artist.trim();
-            if (trimmedArtist) {
-                artistVariations.add(trimmedArtist);
-            }
+    /**
+     * Rebuilds the prefix sums of the line heights, estimating unmeasured lines from the measured ones.
+     */
+    function updateLineOffsets() {
+        const { heights, offsets } = lineList;
+        const measured = heights.filter(height => !isNaN(height));
+        const estimate = measured.length ? measured.reduce((sum, height) => sum + height, 0) / measured.length : LINE_HEIGHT_ESTIMATE;
+        offsets.length = heights.length + 1;
+        offsets[0] = 0;
+        heights.forEach((height, index) => {
+            offsets[index + 1] = offsets[index] + (isNaN(height) ? estimate : height);
         });
+    }
 
-        const permutations = [];
-        const addedPermutations = new Set();
-
-        // Prioritized order of arrays
-        const titles = Array.from(titleVariations);
-        const artists = Array.from(artistVariations);
-        const albums = Array.from(albumVariations);
+    /**
+     * Sizes the spacers so the rendered lines sit at their computed offsets.
+     */
+    function updateLineSpacers() {
+        const { offsets, start, end, topSpacer, bottomSpacer } = lineList;
+        topSpacer.style.height = `${offsets[start]}px`;
+        bottomSpacer.style.height = `${offsets[offsets.length - 1] - offsets[end + 1]}px`;
+    }
 
-        // Create all combinations, prioritizing more specific and original info first
-        for (const title of titles) {
+    /**
+     * Renders the lines within LINE_WINDOW_RADIUS of a line, keeping the elements that are already there.
+     * @param {number} focus The line index to center the window on.
+     */
+    function renderLineWindow(focus) {
+        const list = lineList;
+        list.focus = focus;
+        const start = Math.max(0, focus - LINE_WINDOW_RADIUS);
+        const end = Math.min(list.html.length - 1, focus + LINE_WINDOW_RADIUS);
+        if (start === list.start && end === list.end) return;
+
+        for (const [index, lineEl] of list.elements) {
+            if (index >= start && index <= end) continue;
+            lineResizeObserver.unobserve(lineEl);
+            lineEl.remove();
+            list.elements.delete(index);
+        }
+        // What is left is one contiguous run; new lines go before it or after it
+        const firstKept = list.elements.size ? Math.min(...list.elements.keys()) : Infinity;
+        const template = document.createElement('template');
+        for (let index = start; index <= end; index++) {
+            if (list.elements.has(index)) continue;
+            template.innerHTML = list.html[index];
+            const lineEl = template.content.firstElementChild;
+            lineEl.dataset.line = index;
+            applyLineState(lineEl, index);
+            list.contentEl.insertBefore(lineEl, index < firstKept ? (list.elements.get(firstKept) || list.bottomSpacer) : list.bottomSpacer);
+            list.elements.set(index, lineEl);
+            lineResizeObserver.observe(lineEl);
+        }
+        list.start = start;
+        list.end = end;
+        updateLineSpacers();
+    }
+
+    /**
+     * Finds the line at a vertical position within the content.
+     * @param {number} y
+     * @returns {number} The line index.
+     */
+    function findLineAtOffset(y) {
+        const { offsets } = lineList;
+        let low = 0;
+        let high = offsets.length - 2;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (offsets[mid] <= y) low = mid;
+            else high = mid - 1;
+        }
+        return Math.max(0, low);
+    }
+
+    /**
+     * Returns the scroll position that centers a line in the viewport.
+     * @param {number} index
+     * @returns {number}
+     */
+    function getLineScrollY(index) {
+        const { offsets } = lineList;
+        return offsets[index] + (offsets[index + 1] - offsets[index]) / 2 - lyricsViewportSize.height / 2;
+    }
+
+    /**
+     * Moves the content to a scroll position.
+     * @param {number} y
+     * @param {boolean} animate Whether to use the scroll transition.
+     */
+    function setContentScroll(y, animate) {
+        const contentEl = lineList?.contentEl || page.querySelector('.lyrics-plus-content');
+        lyricsScrollY = y;
+        if (!contentEl) return;
+        contentEl.style.transition = animate ? '' : 'none';
+        contentEl.style.transform = `translateY(${-y}px)`;
+    }
+
+    /**
+     * Scrolls the lyrics content so that the given line sits in the middle of the viewport.
+     * @param {number} index The line to center.
+     */
+    function scrollToLine(index) {
+        if (!lineList?.html.length) return;
+        index = Math.max(0, Math.min(lineList.html.length - 1, index));
+        renderLineWindow(index);
+        setContentScroll(getLineScrollY(index), true);
+    }
+
+    /**
+     * Scrolls the lyrics manually, between centering the first and the last line.
+     * @param {number} delta Pixels to scroll, positive for down.
+     */
+    function scrollLinesBy(delta) {
+        if (!lineList?.html.length) return;
+        const y = Math.max(getLineScrollY(0), Math.min(getLineScrollY(lineList.html.length - 1), lyricsScrollY + delta));
+        setContentScroll(y, false);
+        renderLineWindow(findLineAtOffset(y + lyricsViewportSize.height / 2));
+    }
+
+    /**
+     * Recomputes the line positions after heights changed, shifting the scroll position so the focused line
+     * stays where it was on screen.
+     */
+    function relayoutLines() {
+        if (!lineList.html.length) return;
+        const before = getLineScrollY(lineList.focus);
+        updateLineOffsets();
+        updateLineSpacers();
+        const shift = getLineScrollY(lineList.focus) - before;
+        if (shift) {
+            lyricsScrollY += shift;
+            lineList.contentEl.style.transform = `translateY(${-lyricsScrollY}px)`;
+        }
+    }
+
+    /**
+     * Forgets the cached heights of lines that aren't rendered, after a change that can rewrap them.
+     * Rendered lines report their new size through the ResizeObserver.
+     */
+    function invalidateLineHeights() {
+        if (!lineList) return;
+        lineList.heights.forEach((height, index) => {
+            if (!lineList.elements.has(index)) lineList.heights[index] = NaN;
+        });
+        relayoutLines();
+    }
+
+    /**
+     * Caches the measured heights of rendered lines and tracks the viewport size.
+     * @param {ResizeObserverEntry[]} entries
+     */
+    function handleLineResize(entries) {
+        if (!lineList) return;
+        const viewportEl = lineList.contentEl.parentElement;
+        let changed = false;
+        for (const entry of entries) {
+            if (entry.target === viewportEl) {
+                const { width, height } = entry.contentRect;
+                if (width !== lyricsViewportSize.width || height !== lyricsViewportSize.height) {
+                    const rewrapped = width !== lyricsViewportSize.width;
+                    lyricsViewportSize = { width, height };
+                    if (rewrapped) invalidateLineHeights();
+                    changed = true;
+                }
+                continue;
+            }
+            const index = Number(entry.target.dataset.line);
+            const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+            if (lineList.elements.get(index) === entry.target && lineList.heights[index] !== height) {
+                lineList.heights[index] = height;
+                changed = true;
+            }
+        }
+        if (changed) relayoutLines();
+    }
+
+    // --- BACKGROUND ENGINE ---
+    // "cover" and "solid" are plain CSS backgrounds; "mesh" and "tiles" are drawn on a canvas inside #lyrics-plus-background,
+    // so the blur classes and the spinning animation apply to them unchanged.
+    const BACKGROUND_RENDER_SCALE = { mesh: 0.25, tiles: 0.5 }; // Canvas pixels per CSS pixel; the blur hides the difference
+    const MESH_BLOB_COUNT = 5;
+    const TILE_DRIFT_SPEED = 0.004; // Canvas pixels per millisecond
+    let backgroundRenderer = null; // {canvas, ctx, mode, palette, image, frameId, lastFrameTime}
+
+    /**
+     * Checks whether the canvas background should move, rather than showing a single frame.
+     * @returns {boolean}
+     */
+    function isBackgroundAnimated() {
+        return currentConfig.backgroundAnimation && !currentConfig.performanceMode;
+    }
+
+    /**
+     * Replaces the background with a canvas renderer. Draws the first frame right away and animates it if enabled.
+     * @param {HTMLElement} background The #lyrics-plus-background element.
+     * @param {'mesh'|'tiles'} mode
+     * @param {AlbumPalette} palette
+     * @param {HTMLImageElement|null} image The cover, needed for tiles.
+     */
+    function startBackgroundRenderer(background, mode, palette, image) {
+        stopBackgroundRenderer();
+        const canvas = document.createElement('canvas');
+        background.appendChild(canvas);
+        backgroundRenderer = { canvas, ctx: canvas.getContext('2d'), mode, palette, image, frameId: null, lastFrameTime: 0 };
+        drawBackgroundFrame(performance.now());
+        resumeBackgroundRenderer();
+    }
+
+    /**
+     * Stops the canvas renderer, if any, and removes its canvas.
+     */
+    function stopBackgroundRenderer() {
+        if (!backgroundRenderer) return;
+        cancelAnimationFrame(backgroundRenderer.frameId);
+        backgroundRenderer.canvas.remove();
+        backgroundRenderer = null;
+    }
+
+    /**
+     * Restarts the animation loop after it paused because the page was hidden or animation was off.
+     */
+    function resumeBackgroundRenderer() {
+        if (!backgroundRenderer || backgroundRenderer.frameId || !isBackgroundAnimated() || !isPageVisible || document.hidden) return;
+        backgroundRenderer.frameId = requestAnimationFrame(runBackgroundFrame);
+    }
+
+    /**
+     * Animation loop callback. Skips frames above the frame rate cap and stops while nothing can be seen.
+     * @param {number} now The frame timestamp.
+     */
+    function runBackgroundFrame(now) {
+        const renderer = backgroundRenderer;
+        if (!renderer) return;
+        renderer.frameId = null;
+        if (!isBackgroundAnimated() || !isPageVisible || document.hidden) return; // resumeBackgroundRenderer picks it up again
+
+        if (now - renderer.lastFrameTime >= 1000 / currentConfig.backgroundFps) {
+            renderer.lastFrameTime = now;
+            drawBackgroundFrame(now);
+        }
+        renderer.frameId = requestAnimationFrame(runBackgroundFrame);
+    }
+
+    /**
+     * Draws one frame, resizing the canvas to the background element first if needed.
+     * @param {number} time A timestamp in milliseconds that drives the motion.
+     */
+    function drawBackgroundFrame(time) {
+        const { canvas, mode } = backgroundRenderer;
+        const scale = BACKGROUND_RENDER_SCALE[mode];
+        const width = Math.max(1, Math.round(canvas.parentElement.clientWidth * scale));
+        const height = Math.max(1, Math.round(canvas.parentElement.clientHeight * scale));
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        if (mode === 'tiles') {
+            drawTileBackground(backgroundRenderer, time);
+        } else {
+            drawMeshBackground(backgroundRenderer, time);
+        }
+    }
+
+    /**
+     * Draws soft palette-colored blobs that wander slowly over the dark palette color.
+     * @param {object} renderer
+     * @param {number} time
+     */
+    function drawMeshBackground({ ctx, canvas, palette }, time) {
+        const { width, height } = canvas;
+        ctx.fillStyle = palette.dark;
+        ctx.fillRect(0, 0, width, height);
+
+        const colors = [palette.vibrant, palette.muted, ...palette.swatches, palette.light].slice(0, MESH_BLOB_COUNT);
+        const radius = Math.max(width, height) * 0.6;
+        colors.forEach((color, index) => {
+            // Each blob follows its own Lissajous curve, so the pattern never visibly repeats
+            const phase = index * 1.7;
+            const x = width * (0.5 + 0.35 * Math.sin(time * 0.00007 * (index + 1) + phase));
+            const y = height * (0.5 + 0.35 * Math.cos(time * 0.00005 * (index + 2) + phase));
+            const [r, g, b] = parseColor(color);
+            const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.6)`);
+            gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+        });
+    }
+
+    /**
+     * Draws rows of cover tiles, alternate rows drifting in opposite directions.
+     * @param {object} renderer
+     * @param {number} time
+     */
+    function drawTileBackground({ ctx, canvas, image }, time) {
+        const { width, height } = canvas;
+        const tileSize = Math.ceil(height / 3);
+        const drift = time * TILE_DRIFT_SPEED;
+        for (let row = 0; row * tileSize < height; row++) {
+            const direction = row % 2 ? 1 : -1;
+            const shift = ((drift * direction) % tileSize + tileSize) % tileSize;
+            for (let x = shift - tileSize; x < width; x += tileSize) {
+                ctx.drawImage(image, x, row * tileSize, tileSize, tileSize);
+            }
+        }
+    }
+
+    document.addEventListener('visibilitychange', resumeBackgroundRenderer);
+
+    // --- ALBUM ART PALETTE ---
+    const PALETTE_SAMPLE_SIZE = 64; // Covers are downsampled to this many pixels per side before extraction
+    const PALETTE_SWATCH_COUNT = 8;
+    const PALETTE_CACHE_LIMIT = 50;
+    const BACKDROP_BRIGHTNESS = 0.5; // Roughly the brightness() filter of the background blur classes
+    const WCAG_UI_CONTRAST = 3; // Minimum contrast for controls and large text (WCAG 1.4.11)
+    const FALLBACK_PALETTE = {
+        swatches: ['rgb(80, 80, 80)'],
+        vibrant: 'rgb(80, 80, 80)',
+        muted: 'rgb(80, 80, 80)',
+        dark: 'rgb(30, 30, 30)',
+        light: 'rgb(200, 200, 200)',
+    };
+    const paletteCache = new Map(); // Image URL -> Promise<AlbumPalette>, least recently used first
+    let paletteWorker = null; // Created on first use; false once workers turned out to be unavailable
+    let paletteRequestId = 0;
+    const paletteRequests = new Map(); // Request id -> {resolve, reject} of a palette being extracted by the worker
+
+    /**
+     * @typedef {object} AlbumPalette
+     * @property {string[]} swatches Median cut colors, most common first.
+     * @property {string} vibrant The most saturated color of medium lightness.
+     * @property {string} muted The least saturated color of medium lightness.
+     * @property {string} dark A dark color in the hue of the darkest swatch.
+     * @property {string} light A light color in the hue of the lightest swatch.
+     */
+
+    /**
+     * Extracts a palette from RGBA pixel data with the Median Cut algorithm.
+     * It runs inside the palette worker as well, so it must not use anything outside its own body.
+     * @param {Uint8ClampedArray} data The pixel data of a downsampled cover.
+     * @param {number} swatchCount How many median cut buckets to make.
+     * @returns {AlbumPalette|null} Null when the image has no opaque pixels.
+     */
+    function extractPalette(data, swatchCount) {
+        const toCss = ([r, g, b]) => `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+        const toHsl = ([r, g, b]) => {
+            r /= 255; g /= 255; b /= 255;
+            const max = Math.max(r, g, b), min = Math.min(r, g, b);
+            const l = (max + min) / 2;
+            if (max === min) return [0, 0, l];
+            const d = max - min;
+            const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+            const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+            return [h / 6, s, l];
+        };
+        const fromHsl = ([h, s, l]) => {
+            const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+            const p = 2 * l - q;
+            const channel = (t) => {
+                t = (t + 1) % 1;
+                if (t < 1 / 6) return p + (q - p) * 6 * t;
+                if (t < 1 / 2) return q;
+                if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+                return p;
+            };
+            return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)].map(value => value * 255);
+        };
+
+        const pixels = [];
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] >= 125) pixels.push([data[i], data[i + 1], data[i + 2]]);
+        }
+        if (pixels.length === 0) return null;
+
+        // Keep splitting the bucket with the widest channel range at its median
+        const buckets = [pixels];
+        while (buckets.length < swatchCount) {
+            let widest = null;
+            for (const bucket of buckets) {
+                if (bucket.length < 2) continue;
+                for (let channel = 0; channel < 3; channel++) {
+                    let min = 255, max = 0;
+                    for (const pixel of bucket) {
+                        min = Math.min(min, pixel[channel]);
+                        max = Math.max(max, pixel[channel]);
+                    }
+                    if (!widest || max - min > widest.range) widest = { bucket, channel, range: max - min };
+                }
+            }
+            if (!widest || widest.range === 0) break;
+            const { bucket, channel } = widest;
+            bucket.sort((a, b) => a[channel] - b[channel]);
+            const mid = Math.floor(bucket.length / 2);
+            buckets.splice(buckets.indexOf(bucket), 1, bucket.slice(0, mid), bucket.slice(mid));
+        }
+
+        // Average each bucket; a split through a block of one color yields the same swatch twice, so merge those
+        const merged = new Map();
+        for (const bucket of buckets) {
+            const sum = bucket.reduce((total, pixel) => [total[0] + pixel[0], total[1] + pixel[1], total[2] + pixel[2]], [0, 0, 0]);
+            const rgb = sum.map(value => value / bucket.length);
+            const css = toCss(rgb);
+            const share = bucket.length / pixels.length + (merged.get(css)?.share || 0);
+            merged.set(css, { css, rgb, hsl: toHsl(rgb), share });
+        }
+        const swatches = [...merged.values()].sort((a, b) => b.share - a.share);
+
+        // Prefer medium lightness for the accent swatches, with a nudge towards colors that cover more of the cover
+        const pick = (score) => swatches.reduce((best, swatch) => (score(swatch) > score(best) ? swatch : best));
+        const midTone = (l) => 1 - Math.abs(l - 0.5) * 2;
+        const vibrant = pick(({ hsl: [, s, l], share }) => s * midTone(l) + share * 0.3);
+        const muted = pick(({ hsl: [, s, l], share }) => (1 - s) * midTone(l) + share * 0.3);
+        const darkest = pick(({ hsl: [, , l] }) => -l);
+        const lightest = pick(({ hsl: [, , l] }) => l);
+
+        return {
+            swatches: swatches.map(swatch => swatch.css),
+            vibrant: toCss(vibrant.rgb),
+            muted: toCss(muted.rgb),
+            dark: toCss(fromHsl([darkest.hsl[0], darkest.hsl[1], Math.min(darkest.hsl[2], 0.2)])),
+            light: toCss(fromHsl([lightest.hsl[0], lightest.hsl[1], Math.max(lightest.hsl[2], 0.8)])),
+        };
+    }
+
+    /**
+     * Returns the palette worker, creating it on first use.
+     * @returns {Worker|null} Null when workers or OffscreenCanvas aren't available here.
+     */
+    function getPaletteWorker() {
+        if (paletteWorker !== null) return paletteWorker || null;
+        if (typeof Worker !== 'function' || typeof OffscreenCanvas !== 'function' || typeof createImageBitmap !== 'function') {
+            paletteWorker = false;
+            return null;
+        }
+        const source = `
+            const extractPalette = ${extractPalette.toString()};
+            self.onmessage = ({ data: { id, bitmap, swatchCount } }) => {
+                const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(bitmap, 0, 0);
+                bitmap.close();
+                self.postMessage({ id, palette: extractPalette(ctx.getImageData(0, 0, canvas.width, canvas.height).data, swatchCount) });
+            };
+        `;
+        try {
+            const workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            paletteWorker = new Worker(workerUrl);
+            URL.revokeObjectURL(workerUrl);
+        } catch (e) {
+            console.warn("[Lyrics+] Palette worker unavailable, extracting on the main thread.", e);
+            paletteWorker = false;
+            return null;
+        }
+        paletteWorker.onmessage = ({ data: { id, palette } }) => {
+            paletteRequests.get(id)?.resolve(palette);
+            paletteRequests.delete(id);
+        };
+        paletteWorker.onerror = (e) => {
+            // Most likely a content security policy refusing blob: workers; don't try again
+            console.warn("[Lyrics+] Palette worker failed, extracting on the main thread.", e);
+            paletteWorker.terminate();
+            paletteWorker = false;
+            paletteRequests.forEach(({ reject }) => reject(new Error("Palette worker failed")));
+            paletteRequests.clear();
+        };
+        return paletteWorker;
+    }
+
+    /**
+     * Loads a cover image with CORS enabled, so its pixels can be read.
+     * @param {string} imageUrl
+     * @returns {Promise<HTMLImageElement>}
+     */
+    function loadImage(imageUrl) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = "Anonymous";
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Couldn't load ${imageUrl}`));
+            img.src = imageUrl;
+        });
+    }
+
+    /**
+     * Downsamples a cover and extracts its palette, in the worker when possible.
+     * @param {string} imageUrl
+     * @returns {Promise<AlbumPalette>}
+     */
+    async function computePalette(imageUrl) {
+        const img = await loadImage(imageUrl);
+        const worker = getPaletteWorker();
+        if (worker) {
+            try {
+                const bitmap = await createImageBitmap(img, { resizeWidth: PALETTE_SAMPLE_SIZE, resizeHeight: PALETTE_SAMPLE_SIZE, resizeQuality: 'medium' });
+                const palette = await new Promise((resolve, reject) => {
+                    const id = ++paletteRequestId;
+                    paletteRequests.set(id, { resolve, reject });
+                    worker.postMessage({ id, bitmap, swatchCount: PALETTE_SWATCH_COUNT }, [bitmap]);
+                });
+                return palette || FALLBACK_PALETTE;
+            } catch (e) {
+                // Fall through to the main thread
+            }
+        }
+        const canvas = document.createElement("canvas");
+        canvas.width = PALETTE_SAMPLE_SIZE;
+        canvas.height = PALETTE_SAMPLE_SIZE;
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(img, 0, 0, PALETTE_SAMPLE_SIZE, PALETTE_SAMPLE_SIZE);
+        return extractPalette(ctx.getImageData(0, 0, PALETTE_SAMPLE_SIZE, PALETTE_SAMPLE_SIZE).data, PALETTE_SWATCH_COUNT) || FALLBACK_PALETTE;
+    }
+
+    /**
+     * Returns the palette of a cover, extracting it only the first time the URL is seen.
+     * @param {string} imageUrl
+     * @returns {Promise<AlbumPalette>} Resolves to a neutral palette when the image can't be read.
+     */
+    function getAlbumPalette(imageUrl) {
+        if (!imageUrl) return Promise.resolve(FALLBACK_PALETTE);
+        let palette = paletteCache.get(imageUrl);
+        if (palette) {
+            paletteCache.delete(imageUrl); // Re-insert to mark it as recently used
+        } else {
+            palette = computePalette(imageUrl).catch(e => {
+                console.error("[Lyrics+] Error extracting album art colors.", e);
+                paletteCache.delete(imageUrl); // Try again next time
+                return FALLBACK_PALETTE;
+            });
+        }
+        paletteCache.set(imageUrl, palette);
+        if (paletteCache.size > PALETTE_CACHE_LIMIT) {
+            paletteCache.delete(paletteCache.keys().next().value);
+        }
+        return palette;
+    }
+
+    /**
+     * Parses an "rgb(r, g, b)" or "#rrggbb" color.
+     * @param {string} color
+     * @returns {number[]} The red, green and blue channels, 0-255.
+     */
+    function parseColor(color) {
+        if (color.startsWith('#')) {
+            const value = parseInt(color.slice(1), 16);
+            return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+        }
+        return color.match(/\d+(\.\d+)?/g).slice(0, 3).map(Number);
+    }
+
+    /**
+     * Computes the WCAG relative luminance of a color.
+     * @param {string} color
+     * @returns {number} 0 for black to 1 for white.
+     */
+    function relativeLuminance(color) {
+        const [r, g, b] = parseColor(color).map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * Computes the WCAG contrast ratio between two colors.
+     * @param {string} first
+     * @param {string} second
+     * @returns {number} From 1 (no contrast) to 21 (black on white).
+     */
+    function contrastRatio(first, second) {
+        const [lighter, darker] = [relativeLuminance(first), relativeLuminance(second)].sort((a, b) => b - a);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    /**
+     * Picks black or white, whichever reads better on a background.
+     * @param {string} background
+     * @returns {string}
+     */
+    function getReadableTextColor(background) {
+        return contrastRatio(background, 'rgb(0, 0, 0)') >= contrastRatio(background, 'rgb(255, 255, 255)') ? 'black' : 'white';
+    }
+
+    /**
+     * Picks the first palette color that stands out enough from the dimmed cover behind the controls.
+     * @param {AlbumPalette} palette
+     * @returns {string}
+     */
+    function pickAccentColor(palette) {
+        const backdrop = `rgb(${parseColor(palette.swatches[0]).map(channel => channel * BACKDROP_BRIGHTNESS).join(', ')})`;
+        const candidates = [palette.vibrant, palette.light, palette.muted, ...palette.swatches];
+        return candidates.find(color => contrastRatio(color, backdrop) >= WCAG_UI_CONTRAST) || 'rgb(255, 255, 255)';
+    }
+
+    /**
+     * Updates the colors of player controls to the accent color.
+     * @param {HTMLElement} playPauseBtn The play/pause button element.
+     * @param {string} accentColor An "rgb(r, g, b)" or "#rrggbb" color.
+     */
+    function updateControlColors(playPauseBtn, accentColor) {
+        const progressBar = page.querySelector("#lyrics-plus-progress-bar");
+        if (progressBar) progressBar.style.backgroundColor = accentColor;
+        if (playPauseBtn) {
+            playPauseBtn.style.backgroundColor = accentColor;
+            playPauseBtn.style.color = getReadableTextColor(accentColor);
+        }
+    }
+    
+    // --- CACHING FUNCTIONS ---
+    const CACHE_DB_NAME = "lyrics-plus";
+    const CACHE_DB_VERSION = 3;
+    const CACHE_STORE = "lyrics";
+    const OVERRIDES_STORE = "overrides"; // User-supplied lyrics that take precedence over providers
+    const TRANSLATIONS_STORE = "translations"; // Lyrics shown beneath the original lines, one set per track
+    let cacheDbPromise = null;
+
+    /**
+     * @typedef {object} CacheEntry
+     * @property {string} uri The track URI, which is also the key.
+     * @property {Array<{time?: number, text: string}>} lyrics The cached lyrics. Plain entries have no times.
+     * @property {number} timestamp When the lyrics were cached.
+     * @property {number} lastUsed When the entry was last read, used for LRU eviction.
+     * @property {string} [title] The track title, for the cache manager.
+     * @property {string} [artist] The artist name.
+     * @property {string} [album] The album name.
+     * @property {number} [duration] The track duration in milliseconds, used when refreshing.
+     * @property {boolean} [plain] True when the lyrics came from unsynced text. See `getPlainCachedLines`.
+     * @property {LyricsVersion[]} [versions] Every version the last lookup found, for the version switcher.
+     *     Missing on entries cached without a lookup, e.g. by the queue prefetch.
+     */
+
+    /**
+     * Opens (and on first use creates) the IndexedDB lyrics cache, migrating the old LocalStorage blob once.
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openCacheDb() {
+        if (!cacheDbPromise) {
+            cacheDbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(CACHE_STORE)) {
+                        const store = db.createObjectStore(CACHE_STORE, { keyPath: "uri" });
+                        store.createIndex("lastUsed", "lastUsed");
+                    }
+                    if (!db.objectStoreNames.contains(OVERRIDES_STORE)) {
+                        db.createObjectStore(OVERRIDES_STORE, { keyPath: "uri" });
+                    }
+                    if (!db.objectStoreNames.contains(TRANSLATIONS_STORE)) {
+                        db.createObjectStore(TRANSLATIONS_STORE, { keyPath: "uri" });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(async (db) => {
+                await migrateLegacyCache(db);
+                return db;
+            });
+            cacheDbPromise.catch((e) => {
+                console.error("[Lyrics+] Could not open the lyrics cache.", e);
+                cacheDbPromise = null; // Retry on the next access
+            });
+        }
+        return cacheDbPromise;
+    }
+
+    /**
+     * Runs one operation against a store of the cache database inside its own transaction.
+     * @template T
+     * @param {IDBTransactionMode} mode 'readonly' or 'readwrite'.
+     * @param {(store: IDBObjectStore) => IDBRequest<T>|void} operation Issues the requests.
+     * @param {{storeName?: string, db?: IDBDatabase}} [options] The store to use (lyrics cache by default) and
+     * an already open database, used during migration.
+     * @returns {Promise<T|undefined>} The result of the request returned by `operation`.
+     */
+    async function runCacheTransaction(mode, operation, { storeName = CACHE_STORE, db } = {}) {
+        const database = db || await openCacheDb();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Moves every entry of the old single-blob LocalStorage cache into IndexedDB, then removes the blob.
+     * @param {IDBDatabase} db The open cache database.
+     */
+    async function migrateLegacyCache(db) {
+        const raw = Spicetify.LocalStorage.get(LEGACY_CACHE_KEY);
+        if (!raw) return;
+
+        let legacyCache = {};
+        try {
+            legacyCache = JSON.parse(raw) || {};
+        } catch (e) {
+            console.error("[Lyrics+] Legacy cache is corrupted, dropping it.", e);
+        }
+        await runCacheTransaction('readwrite', (store) => {
+            for (const [uri, entry] of Object.entries(legacyCache)) {
+                if (!Array.isArray(entry?.lyrics) || entry.lyrics.length === 0) continue;
+                const timestamp = Number(entry.timestamp) || Date.now();
+                store.put({ uri, lyrics: entry.lyrics, timestamp, lastUsed: timestamp });
+            }
+        }, { db });
+        Spicetify.LocalStorage.remove(LEGACY_CACHE_KEY);
+    }
+
+    /**
+     * Reads the cached lyrics for a track and marks the entry as recently used.
+     * @param {string} uri The track URI.
+     * @param {{touch?: boolean}} [options] Pass `touch: false` to read without affecting eviction order.
+     * @returns {Promise<CacheEntry|null>}
+     */
+    async function getCachedLyrics(uri, { touch = true } = {}) {
+        if (!uri) return null;
+        try {
+            const entry = await runCacheTransaction('readonly', store => store.get(uri));
+            if (!entry) return null;
+            if (touch) {
+                entry.lastUsed = Date.now();
+                runCacheTransaction('readwrite', store => { store.put(entry); }).catch(() => {});
+            }
+            return entry;
+        } catch (e) {
+            console.error("[Lyrics+] Error reading cache.", e);
+            return null;
+        }
+    }
+
+    /**
+     * Stores lyrics for a track and evicts the least recently used entries beyond the size cap.
+     * @param {string} uri The track URI.
+     * @param {Array<{time: number, text: string}>} lyrics The lyrics to cache.
+     * @param {{title?: string, artist?: string, album?: string, duration?: number, plain?: boolean, versions?: LyricsVersion[]}} [details] Track details shown in the cache manager,
+     *     and the versions found by the lookup.
+     */
+    async function putCachedLyrics(uri, lyrics, details = {}) {
+        if (!uri || !Array.isArray(lyrics) || lyrics.length === 0) return;
+        const now = Date.now();
+        const entry = {
+            uri,
+            lyrics,
+            timestamp: now,
+            lastUsed: now,
+            title: details.title || '',
+            artist: details.artist || '',
+            album: details.album || '',
+            duration: Number(details.duration) || 0,
+            plain: !!details.plain,
+        };
+        if (details.versions) entry.versions = details.versions;
+        try {
+            await runCacheTransaction('readwrite', store => { store.put(entry); });
+            await enforceCacheLimit();
+        } catch (e) {
+            console.error("[Lyrics+] Error writing cache.", e);
+        }
+    }
+
+    /**
+     * Stores the versions found for a cached track without touching its lyrics or its age.
+     * @param {string} uri The track URI.
+     * @param {LyricsVersion[]} versions
+     */
+    async function putCachedVersions(uri, versions) {
+        const entry = await getCachedLyrics(uri, { touch: false });
+        if (!entry) return;
+        try {
+            await runCacheTransaction('readwrite', store => { store.put({ ...entry, versions }); });
+        } catch (e) {
+            console.error("[Lyrics+] Error writing cache.", e);
+        }
+    }
+
+    /**
+     * Removes one track from the cache.
+     * @param {string} uri The track URI.
+     */
+    async function deleteCachedLyrics(uri) {
+        try {
+            await runCacheTransaction('readwrite', store => { store.delete(uri); });
+        } catch (e) {
+            console.error("[Lyrics+] Error deleting cache entry.", e);
+        }
+    }
+
+    /**
+     * Deletes the least recently used entries until the cache fits `cacheMaxEntries`.
+     */
+    async function enforceCacheLimit() {
+        const count = await runCacheTransaction('readonly', store => store.count());
+        let excess = (count || 0) - currentConfig.cacheMaxEntries;
+        if (excess <= 0) return;
+
+        await runCacheTransaction('readwrite', (store) => {
+            const cursorRequest = store.index("lastUsed").openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess <= 0) return;
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Checks whether a cached entry is older than the configured revalidation age.
+     * @param {CacheEntry} entry The cache entry.
+     * @returns {boolean}
+     */
+    function isCacheEntryStale(entry) {
+        const ttlDays = currentConfig.cacheTTLDays;
+        return ttlDays > 0 && Date.now() - entry.timestamp > ttlDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Reads the user-supplied lyrics for a track, if any.
+     * @param {string} uri The track URI.
+     * @returns {Promise<{uri: string, lyrics: Array<{time: number, text: string}>, fileName: string, timestamp: number}|null>}
+     */
+    async function getLyricsOverride(uri) {
+        if (!uri) return null;
+        try {
+            return (await runCacheTransaction('readonly', store => store.get(uri), { storeName: OVERRIDES_STORE })) || null;
+        } catch (e) {
+            console.error("[Lyrics+] Error reading local lyrics.", e);
+            return null;
+        }
+    }
+
+    /**
+     * Binds user-supplied lyrics to a track. They take precedence over the cache and every provider.
+     * @param {string} uri The track URI.
+     * @param {Array<{time: number, text: string}>} lyrics The lyrics.
+     * @param {string} fileName The name of the imported file, shown in the status.
+     */
+    async function putLyricsOverride(uri, lyrics, fileName) {
+        await runCacheTransaction('readwrite', store => { store.put({ uri, lyrics, fileName, timestamp: Date.now() }); }, { storeName: OVERRIDES_STORE });
+    }
+
+    /**
+     * Removes the user-supplied lyrics of a track so it goes back to cache and providers.
+     * @param {string} uri The track URI.
+     */
+    async function deleteLyricsOverride(uri) {
+        try {
+            await runCacheTransaction('readwrite', store => { store.delete(uri); }, { storeName: OVERRIDES_STORE });
+        } catch (e) {
+            console.error("[Lyrics+] Error removing local lyrics.", e);
+        }
+    }
+
+    /**
+     * Reads the translation attached to a track, if any.
+     * @param {string} uri The track URI.
+     * @returns {Promise<{uri: string, lyrics: Array<{time: number, text: string}>, source: string, timestamp: number}|null>}
+     */
+    async function getTranslation(uri) {
+        if (!uri) return null;
+        try {
+            return (await runCacheTransaction('readonly', store => store.get(uri), { storeName: TRANSLATIONS_STORE })) || null;
+        } catch (e) {
+            console.error("[Lyrics+] Error reading translation.", e);
+            return null;
+        }
+    }
+
+    /**
+     * Attaches a translation to a track, replacing any previous one.
+     * @param {string} uri The track URI.
+     * @param {Array<{time: number, text: string}>} lyrics The translated lines.
+     * @param {string} source Where the translation came from, e.g. the file name.
+     * @returns {Promise<object>} The stored entry.
+     */
+    async function putTranslation(uri, lyrics, source) {
+        const entry = { uri, lyrics, source, timestamp: Date.now() };
+        await runCacheTransaction('readwrite', store => { store.put(entry); }, { storeName: TRANSLATIONS_STORE });
+        return entry;
+    }
+
+    /**
+     * Detaches the translation from a track.
+     * @param {string} uri The track URI.
+     */
+    async function deleteTranslation(uri) {
+        try {
+            await runCacheTransaction('readwrite', store => { store.delete(uri); }, { storeName: TRANSLATIONS_STORE });
+        } catch (e) {
+            console.error("[Lyrics+] Error removing translation.", e);
+        }
+    }
+
+    /**
+     * Reads every cache entry, for the cache manager.
+     * @returns {Promise<CacheEntry[]>}
+     */
+    async function getAllCachedLyrics() {
+        try {
+            return (await runCacheTransaction('readonly', store => store.getAll())) || [];
+        } catch (e) {
+            console.error("[Lyrics+] Error reading cache.", e);
+            return [];
+        }
+    }
+
+    /**
+     * Builds the cache manager details for a track object.
+     * @param {object} track The track object.
+     * @returns {{title: string, artist: string, album: string, duration: number}}
+     */
+    function getCacheDetails(track) {
+        const meta = track?.metadata || {};
+        return { title: meta.title || '', artist: meta.artist_name || '', album: meta.album_title || '', duration: Number(meta.duration) || 0 };
+    }
+
+    async function clearCache() {
+        try {
+            await runCacheTransaction('readwrite', store => { store.clear(); });
+        } catch (e) {
+            console.error("[Lyrics+] Error clearing cache.", e);
+        }
+    }
+
+    /**
+     * Caches unsynced lyrics as a plain entry, one line per item without times.
+     * @param {string} uri The track URI.
+     * @param {string[]} lines The plain lyrics lines.
+     * @param {object} [details] Track details, as for `putCachedLyrics`.
+     */
+    async function putCachedPlainLyrics(uri, lines, details = {}) {
+        await putCachedLyrics(uri, lines.map(text => ({ text })), { ...details, plain: true });
+    }
+
+    /**
+     * Returns the lines of a plain cache entry, or null for synced lyrics.
+     * Entries written before the `plain` flag existed carry fake timestamps 2 seconds apart instead.
+     * @param {CacheEntry} entry
+     * @returns {string[]|null}
+     */
+    function getPlainCachedLines(entry) {
+        const hasFakeTimings = entry.lyrics.length > 1 && entry.lyrics.every((line, index) => line.time === index * 2000);
+        if (!entry.plain && !hasFakeTimings) return null;
+        return entry.lyrics.map(line => line.text === '♪' ? '' : line.text);
+    }
+
+    async function cacheCurrentSongLyrics() {
+        if (!Player.data?.item) return;
+        if (currentPlainLyrics && (lyricsEstimated || !currentLyrics)) {
+            await putCachedPlainLyrics(Player.data.item.uri, currentPlainLyrics, getCacheDetails(Player.data.item));
+            return;
+        }
+        if (!currentLyrics) return;
+        const versions = availableLyrics.length ? availableLyrics : undefined;
+        await putCachedLyrics(Player.data.item.uri, withoutTranslation(currentLyrics), { ...getCacheDetails(Player.data.item), versions });
+    }
+
+    async function clearCurrentSongCache() {
+        const trackUri = Player.data?.item?.uri;
+        if (!trackUri) return;
+        await deleteCachedLyrics(trackUri);
+    }
+
+    // --- BACKUP & RESTORE ---
+    const BACKUP_FORMAT = "lyrics-plus-backup";
+    const BACKUP_VERSION = 1;
+    let pendingRestoreMode = 'merge'; // 'merge' or 'replace', chosen by the button that opened the file picker
+
+    /**
+     * Downloads a single JSON bundle with the settings, offsets, version choices, cached lyrics,
+     * local .lrc files and translations.
+     */
+    async function exportBackup() {
+        try {
+            const [cache, overrides, translations] = await Promise.all([
+                runCacheTransaction('readonly', store => store.getAll()),
+                runCacheTransaction('readonly', store => store.getAll(), { storeName: OVERRIDES_STORE }),
+                runCacheTransaction('readonly', store => store.getAll(), { storeName: TRANSLATIONS_STORE }),
+            ]);
+            const bundle = {
+                format: BACKUP_FORMAT,
+                version: BACKUP_VERSION,
+                exportedAt: new Date().toISOString(),
+                config: { schemaVersion: CONFIG_SCHEMA_VERSION, ...currentConfig },
+                offsets: lyricsOffsets,
+                versions: chosenVersions,
+                cache: cache || [],
+                overrides: overrides || [],
+                translations: translations || [],
+            };
+
+            const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `lyrics-plus-backup-${bundle.exportedAt.slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+        } catch (e) {
+            console.error("[Lyrics+] Error exporting backup.", e);
+            Spicetify.showNotification("Could not export the backup.", true);
+        }
+    }
+
+    /**
+     * Checks that a parsed file is a backup bundle this version can read.
+     * @param {any} bundle The parsed JSON.
+     * @throws {Error} With a readable reason when the bundle is unusable.
+     */
+    function validateBackup(bundle) {
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== BACKUP_FORMAT) {
+            throw new Error("not a Lyrics Plus backup");
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version > BACKUP_VERSION) {
+            throw new Error(`backup version ${bundle.version} is not supported, please update Lyrics Plus`);
+        }
+        const isObject = value => value === undefined || (value !== null && typeof value === 'object' && !Array.isArray(value));
+        const isList = value => value === undefined || Array.isArray(value);
+        if (!isObject(bundle.config) || !isObject(bundle.offsets) || !isObject(bundle.versions)) {
+            throw new Error("the settings part is damaged");
+        }
+        if (!isList(bundle.cache) || !isList(bundle.overrides) || !isList(bundle.translations)) {
+            throw new Error("the lyrics part is damaged");
+        }
+    }
+
+    /**
+     * Writes stored lyrics records (cache entries, overrides or translations) into their store.
+     * In merge mode a record only replaces a local one that is older.
+     * @param {string} storeName The object store.
+     * @param {Array<object>} records The records from the bundle.
+     * @param {'merge'|'replace'} mode
+     * @returns {Promise<{imported: number, skipped: number}>}
+     */
+    async function restoreLyricsRecords(storeName, records = [], mode) {
+        const valid = records.filter(record => record && typeof record.uri === 'string' && Array.isArray(record.lyrics));
+        const existing = mode === 'merge' ? (await runCacheTransaction('readonly', store => store.getAll(), { storeName })) || [] : [];
+        const localTimestamps = new Map(existing.map(record => [record.uri, record.timestamp || 0]));
+        const toWrite = valid.filter(record => !localTimestamps.has(record.uri) || (record.timestamp || 0) > localTimestamps.get(record.uri));
+
+        await runCacheTransaction('readwrite', store => {
+            if (mode === 'replace') store.clear();
+            toWrite.forEach(record => store.put(record));
+        }, { storeName });
+        return { imported: toWrite.length, skipped: records.length - valid.length };
+    }
+
+    /**
+     * Restores a backup bundle. The settings go through `loadConfig`, `loadOffsets` and `loadVersionChoices`
+     * so a damaged part is handled the same way as damaged local storage.
+     * @param {File} file The picked backup file.
+     * @param {'merge'|'replace'} mode Merge keeps local data the bundle doesn't have; replace discards it.
+     */
+    async function importBackup(file, mode) {
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+            validateBackup(bundle);
+        } catch (e) {
+            console.error("[Lyrics+] Error reading backup.", e);
+            Spicetify.showNotification(`Backup not restored: ${e instanceof SyntaxError ? "the file is not valid JSON" : e.message}.`, true);
+            return;
+        }
+
+        const report = [];
+        if (bundle.config) {
+            // Bring the bundle up to the current schema first so merging doesn't mix versions
+            const config = mode === 'merge' ? { ...currentConfig, ...migrateConfig(bundle.config) } : migrateConfig(bundle.config);
+            Spicetify.LocalStorage.set(CONFIG_KEY, JSON.stringify({ schemaVersion: CONFIG_SCHEMA_VERSION, ...config }));
+            loadConfig();
+            report.push('settings');
+        }
+        if (bundle.offsets) {
+            const offsets = migrateOffsets(bundle.offsets);
+            const merged = mode === 'merge' ? {
+                global: bundle.offsets.global !== undefined ? offsets.global : lyricsOffsets.global,
+                artists: { ...lyricsOffsets.artists, ...offsets.artists },
+                albums: { ...lyricsOffsets.albums, ...offsets.albums },
+                tracks: { ...lyricsOffsets.tracks, ...offsets.tracks },
+            } : offsets;
+            Spicetify.LocalStorage.set(OFFSETS_KEY, JSON.stringify(merged));
+            loadOffsets();
+            // Only what came from the file, not what was already there before a merge
+            const count = ['artists', 'albums', 'tracks'].reduce((sum, scope) => sum + Object.keys(offsets[scope] || {}).length, 0);
+            report.push(`${count} offsets`);
+        }
+        if (bundle.versions) {
+            const versions = mode === 'merge' ? { ...chosenVersions, ...bundle.versions } : bundle.versions;
+            Spicetify.LocalStorage.set(VERSIONS_KEY, JSON.stringify(versions));
+            loadVersionChoices();
+            report.push(`${Object.keys(bundle.versions).length} version choices`);
+        }
+
+        let skipped = 0;
+        try {
+            const stores = [
+                [CACHE_STORE, bundle.cache, 'cached songs'],
+                [OVERRIDES_STORE, bundle.overrides, 'local files'],
+                [TRANSLATIONS_STORE, bundle.translations, 'translations'],
+            ];
+            for (const [storeName, records, label] of stores) {
+                if (!records) continue;
+                const result = await restoreLyricsRecords(storeName, records, mode);
+                skipped += result.skipped;
+                report.push(`${result.imported} ${label}`);
+            }
+            await enforceCacheLimit();
+        } catch (e) {
+            console.error("[Lyrics+] Error restoring cached lyrics.", e);
+            Spicetify.showNotification("Settings restored, but the cached lyrics could not be written.", true);
+        }
+
+        updateSettingsModalUI();
+        if (Player.data?.item) {
+            page.dataset.uri = ''; // Show whatever the backup brought for the current song
+            fetchLyrics(Player.data.item);
+        }
+        const skippedNote = skipped ? ` (${skipped} damaged entries skipped)` : '';
+        Spicetify.showNotification(`Restored ${report.join(', ') || 'nothing'}${skippedNote}.`);
+    }
+
+    // --- CACHE MANAGER ---
+    let cacheManagerEntries = [];
+
+    /**
+     * Creates the HTML structure and event handlers for the cache manager.
+     */
+    function createCacheModal() {
+        cacheModal.innerHTML = `
+            <div class="lyrics-plus-choose-content lyrics-plus-cache-content">
+                <div class="lyrics-plus-settings-header">
+                    <h2>Cached Lyrics</h2>
+                    <button class="lyrics-plus-choose-close-btn" title="Close">
+                        <svg height="16" width="16" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M1.47 1.47a.75.75 0 011.06 0L8 6.94l5.47-5.47a.75.75 0 111.06 1.06L9.06 8l5.47 5.47a.75.75 0 11-1.06 1.06L8 9.06l-5.47 5.47a.75.75 0 01-1.06-1.06L6.94 8 1.47 2.53a.75.75 0 010-1.06z"></path>
+                        </svg>
+                    </button>
+                </div>
+                <div class="lyrics-plus-cache-usage" id="lyrics-plus-cache-usage">Calculating...</div>
+                <div class="lyrics-plus-cache-toolbar">
+                    <input type="search" id="lyrics-plus-cache-search" placeholder="Search title or artist">
+                    <select id="lyrics-plus-cache-sort">
+                        <option value="date">Newest first</option>
+                        <option value="title">Title</option>
+                        <option value="artist">Artist</option>
+                        <option value="lines">Line count</option>
+                    </select>
+                </div>
+                <ul class="lyrics-plus-choose-list lyrics-plus-cache-list" id="lyrics-plus-cache-list"></ul>
+            </div>
+        `;
+
+        cacheModal.addEventListener('click', async (e) => {
+            const target = e.target;
+            if (target.closest(".lyrics-plus-choose-close-btn") || target === cacheModal) {
+                toggleCacheModal(false);
+                return;
+            }
+
+            const actionButton = target.closest('[data-cache-action]');
+            if (!actionButton) return;
+            const uri = actionButton.closest('[data-uri]')?.dataset.uri;
+            if (!uri) return;
+
+            actionButton.disabled = true;
+            if (actionButton.dataset.cacheAction === 'delete') {
+                await deleteCachedLyrics(uri);
+            } else {
+                actionButton.textContent = 'Refreshing...';
+                await refreshCachedEntry(uri);
+            }
+            await loadCacheManagerEntries();
+        });
+
+        cacheModal.querySelector('#lyrics-plus-cache-search').addEventListener('input', renderCacheManagerList);
+        cacheModal.querySelector('#lyrics-plus-cache-sort').addEventListener('change', renderCacheManagerList);
+    }
+
+    /**
+     * Toggles the visibility of the cache manager, reloading its entries when it opens.
+     * @param {boolean} visible Whether the cache manager should be visible.
+     */
+    function toggleCacheModal(visible) {
+        cacheModal.classList.toggle("visible", visible);
+        if (visible) {
+            loadCacheManagerEntries();
+        }
+    }
+
+    /**
+     * Reads all cache entries and refreshes the list and the storage usage readout.
+     */
+    async function loadCacheManagerEntries() {
+        cacheManagerEntries = await getAllCachedLyrics();
+        renderCacheManagerList();
+
+        const usageEl = cacheModal.querySelector('#lyrics-plus-cache-usage');
+        const lyricsBytes = cacheManagerEntries.reduce((total, entry) => total + new Blob([JSON.stringify(entry)]).size, 0);
+        let usageText = `${cacheManagerEntries.length} of ${currentConfig.cacheMaxEntries} songs · ${formatBytes(lyricsBytes)} of lyrics`;
+        try {
+            const estimate = await navigator.storage?.estimate?.();
+            if (estimate?.usage !== undefined && estimate?.quota) {
+                usageText += ` · ${formatBytes(estimate.usage)} used of ${formatBytes(estimate.quota)} available to Spotify`;
+            }
+        } catch (e) {
+            // The storage estimate is informational only.
+        }
+        if (usageEl) usageEl.textContent = usageText;
+    }
+
+    /**
+     * Renders the cache entries matching the search box, in the selected order.
+     */
+    function renderCacheManagerList() {
+        const listEl = cacheModal.querySelector('#lyrics-plus-cache-list');
+        if (!listEl) return;
+        const query = normalizeForMatch(cacheModal.querySelector('#lyrics-plus-cache-search').value);
+        const sortBy = cacheModal.querySelector('#lyrics-plus-cache-sort').value;
+
+        const compare = {
+            date: (a, b) => b.timestamp - a.timestamp,
+            title: (a, b) => (a.title || a.uri).localeCompare(b.title || b.uri),
+            artist: (a, b) => (a.artist || '').localeCompare(b.artist || ''),
+            lines: (a, b) => b.lyrics.length - a.lyrics.length,
+        }[sortBy];
+        const entries = cacheManagerEntries
+            .filter(entry => !query || normalizeForMatch(`${entry.title} ${entry.artist}`).includes(query))
+            .sort(compare);
+
+        if (entries.length === 0) {
+            listEl.innerHTML = `<li>${cacheManagerEntries.length ? 'No cached songs match your search.' : 'The cache is empty.'}</li>`;
+            return;
+        }
+        listEl.innerHTML = entries.map(entry => `
+            <li data-uri="${entry.uri}">
+                <div class="lyrics-plus-cache-entry-info">
+                    <div class="lyrics-plus-version-title">${entry.title || entry.uri}</div>
+                    <div class="lyrics-plus-version-source">${entry.artist || 'Unknown artist'}</div>
+                    <div class="lyrics-plus-version-source">Cached ${new Date(entry.timestamp).toLocaleDateString()} · ${entry.lyrics.length} lines · ${getPlainCachedLines(entry) ? 'Plain' : 'Synced'}</div>
+                </div>
+                <button data-cache-action="refresh" title="Fetch these lyrics again">Refresh</button>
+                <button data-cache-action="delete" title="Remove from cache">Delete</button>
+            </li>`).join('');
+    }
+
+    /**
+     * Fetches the lyrics for a cached track again and replaces the entry if the providers have a trusted match.
+     * @param {string} uri The track URI.
+     */
+    async function refreshCachedEntry(uri) {
+        const entry = await getCachedLyrics(uri, { touch: false });
+        let metadata = entry?.title ? { title: entry.title, artist_name: entry.artist, album_title: entry.album, duration: entry.duration } : null;
+        if (!metadata && uri.startsWith("spotify:track:")) {
+            // Entries cached before details were stored only have their URI
+            try {
+                const trackInfo = await CosmosAsync.get(`https://api.spotify.com/v1/tracks/${uri.split(":")[2]}`);
+                metadata = {
+                    title: trackInfo.name,
+                    artist_name: trackInfo.artists.map(artist => artist.name).join(', '),
+                    album_title: trackInfo.album?.name || '',
+                    duration: trackInfo.duration_ms,
+                };
+            } catch (e) {
+                console.error("[Lyrics+] Could not load track details for refresh.", e);
+            }
+        }
+        if (!metadata) {
+            Spicetify.showNotification("Cannot refresh: track details unknown.", true);
+            return;
+        }
+
+        const track = { uri, metadata };
+        const result = await lookupLyrics(track);
+        const chosenIndex = result.synced.findIndex(version => version.key === chosenVersions[uri]);
+        const version = result.synced[Math.max(0, chosenIndex)];
+        if (!version || (chosenIndex === -1 && version.confidence < MATCH_CONFIDENCE_TRUSTED)) {
+            Spicetify.showNotification(`No trusted lyrics found for ${metadata.title}.`, true);
+            return;
+        }
+
+        await putCachedLyrics(uri, version.lyrics, { ...getCacheDetails(track), versions: result.synced });
+        if (uri === Player.data?.item?.uri && uri === latestFetchUri) {
+            page.dataset.uri = ''; // Force the page to pick up the refreshed entry
+            fetchLyrics(Player.data.item);
+        }
+    }
+
+    /**
+     * Formats a byte count for display.
+     * @param {number} bytes The number of bytes.
+     * @returns {string}
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    /**
+     * Removes extra information from a string to improve search accuracy.
+     * @param {string} text The text to clean.
+     * @returns {string} The cleaned text.
+     */
+    function cleanText(text) {
+        if (!text) return '';
+        let cleanedText = text;
+
+        // Remove specific phrases like "- Remastered 2023", "- Live at...", etc.
+        cleanedText = cleanedText.replace(/\s-\s.*?(remaster|live|edit|version|mix|deluxe).*/i, '');
+
+        // Remove anything in parentheses or brackets (often contains redundant info)
+        cleanedText = cleanedText.replace(/\s*\(.*?\)\s*|\s*\[.*?\]\s*/g, '');
+
+        // Remove featured artists
+        cleanedText = cleanedText.replace(/\s(feat|ft)\..*/i, '');
+
+        // Take only the primary artist if multiple are listed
+        cleanedText = cleanedText.split(/,|\/|&|;/)[0];
+        
+        // Final trim to remove any leading/trailing spaces
+        return cleanedText.trim();
+    }
+    
+    /**
+     * Hashes a string into a short, stable key (djb2).
+     * @param {string} text The text to hash.
+     * @returns {string}
+     */
+    function hashString(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Generates a list of search permutations for a track.
+     * @param {object} meta The track metadata.
+     * @returns {Array<{title: string, artist: string, album: string}>}
+     */
+    function getSearchPermutations(meta) {
+        const originalTitle = meta.title || '';
+        const originalArtist = meta.artist_name || '';
+        const originalAlbum = meta.album_title || '';
+
+        const titleVariations = new Set([originalTitle, cleanText(originalTitle)]);
+        const artistVariations = new Set([originalArtist, cleanText(originalArtist)]);
+        const albumVariations = new Set([originalAlbum, cleanText(originalAlbum), '']);
+
+        // Add individual artists to the set
+        originalArtist.split(/,|\/|&|;|feat\.|ft\./i).forEach(artist => {
+            const trimmedArtist = artist.trim();
+            if (trimmedArtist) {
+                artistVariations.add(trimmedArtist);
+            }
+        });
+
+        const permutations = [];
+        const addedPermutations = new Set();
+
+        // Prioritized order of arrays
+        const titles = Array.from(titleVariations);
+        const artists = Array.from(artistVariations);
+        const albums = Array.from(albumVariations);
+
+        // Create all combinations, prioritizing more specific and original info first
+        for (const title of titles) {
             for (const artist of artists) {
                 for (const album of albums) {
                     const permutation = { title, artist, album };
@@ -1388,297 +4575,2017 @@
                     }
                 }
             }
-        }
-        return permutations;
+        }
+        return permutations;
+    }
+
+
+    // --- LYRICS PROVIDERS ---
+    /**
+     * @typedef {object} LyricsQuery
+     * @property {string} uri The Spotify track URI.
+     * @property {string} title The track title to search for.
+     * @property {string} artist The artist name to search for.
+     * @property {string} album The album name to search for.
+     * @property {number} duration The track duration in milliseconds.
+     */
+
+    /**
+     * @typedef {object} LyricsResult
+     * @property {string|null} syncedLyrics LRC formatted lyrics, if the provider has them.
+     * @property {string|null} plainLyrics Unsynced lyrics, one line per row.
+     * @property {string} [trackName] The title the provider matched, used for confidence scoring.
+     * @property {string} [artistName] The artist the provider matched.
+     * @property {string} [albumName] The album the provider matched.
+     * @property {number} [duration] The matched track's duration in milliseconds.
+     */
+
+    /**
+     * @typedef {object} LyricsProvider
+     * @property {string} id Unique key used in the config.
+     * @property {string} name Display name shown in the settings modal.
+     * @property {{synced: boolean, plain: boolean, wordLevel: boolean, byUri?: boolean}} capabilities
+     * What the provider can return. Providers flagged `byUri` look up the track by its URI and are queried once.
+     * @property {(query: LyricsQuery, signal?: AbortSignal) => Promise<LyricsResult|null>} get
+     * Looks up lyrics for one exact query.
+     * @property {(query: LyricsQuery, signal?: AbortSignal) => Promise<Array<LyricsResult & {trackName: string, artistName: string, albumName: string, duration: number}>>} [search]
+     * Returns every candidate the provider has for a loose query.
+     */
+
+    const PROVIDER_CAPABILITY_LABELS = { synced: "synced", plain: "plain", wordLevel: "word-level" };
+
+    /** @type {Map<string, LyricsProvider>} */
+    const lyricsProviders = new Map();
+    /** @type {Object<string, 'online' | 'offline' | 'not-found' | 'checking'>} */
+    const providerStatuses = {};
+
+    /**
+     * Adds a provider to the registry. Providers not yet in the saved order are appended to the end of the chain.
+     * @param {LyricsProvider} provider The provider to register.
+     */
+    function registerProvider(provider) {
+        if (!provider?.id || typeof provider.get !== 'function') {
+            console.error("[Lyrics+] Ignoring invalid lyrics provider.", provider);
+            return;
+        }
+        lyricsProviders.set(provider.id, {
+            ...provider,
+            capabilities: { synced: false, plain: false, wordLevel: false, ...provider.capabilities },
+        });
+    }
+
+    /**
+     * Returns the registered providers in the user's priority order.
+     * @param {{includeDisabled?: boolean}} [options]
+     * @returns {LyricsProvider[]}
+     */
+    function getProviderChain({ includeDisabled = false } = {}) {
+        const order = currentConfig.providerOrder.filter(id => lyricsProviders.has(id));
+        for (const id of lyricsProviders.keys()) {
+            if (!order.includes(id)) order.push(id);
+        }
+        const chain = order.map(id => lyricsProviders.get(id));
+        return includeDisabled ? chain : chain.filter(provider => !currentConfig.disabledProviders.includes(provider.id));
+    }
+
+    /**
+     * Records a provider's status and refreshes the provider list if the settings modal is open.
+     * @param {string} providerId The provider id.
+     * @param {'online' | 'offline' | 'not-found' | 'checking' | ''} status The new status.
+     */
+    function setProviderStatus(providerId, status) {
+        providerStatuses[providerId] = status;
+        if (settingsModal.classList.contains('visible')) {
+            renderProviderList();
+        }
+    }
+
+    registerProvider({
+        id: "lrclib",
+        name: "Lrclib",
+        capabilities: { synced: true, plain: true, wordLevel: false },
+        async get(query, signal) {
+            const url = `${LRCLIB_API_URL}/get?track_name=${encodeURIComponent(query.title)}&artist_name=${encodeURIComponent(query.artist)}&album_name=${encodeURIComponent(query.album)}&duration=${Math.round(query.duration / 1000)}`;
+            const response = await CosmosAsync.get(url, { signal });
+            return {
+                trackName: response?.trackName || '',
+                artistName: response?.artistName || '',
+                albumName: response?.albumName || '',
+                duration: (Number(response?.duration) || 0) * 1000,
+                syncedLyrics: response?.syncedLyrics || null,
+                plainLyrics: response?.plainLyrics || null,
+            };
+        },
+        async search(query, signal) {
+            const url = `${LRCLIB_API_URL}/search?track_name=${encodeURIComponent(query.title)}&artist_name=${encodeURIComponent(query.artist)}`;
+            const response = await CosmosAsync.get(url, { signal });
+            if (!Array.isArray(response)) return [];
+            return response.map(item => ({
+                trackName: item.trackName || '',
+                artistName: item.artistName || '',
+                albumName: item.albumName || '',
+                duration: (Number(item.duration) || 0) * 1000,
+                syncedLyrics: item.syncedLyrics || null,
+                plainLyrics: item.plainLyrics || null,
+            }));
+        },
+    });
+
+    registerProvider({
+        id: "spotify",
+        name: "Spotify",
+        capabilities: { synced: true, plain: true, wordLevel: false, byUri: true },
+        async get(query) {
+            if (!query.uri?.startsWith("spotify:track:")) return null;
+            const trackId = query.uri.split(":")[2];
+            const response = await CosmosAsync.get(`wg://color-lyrics/v2/track/${trackId}?format=json&vocalRemoval=false&market=from_token`);
+            const lines = response?.lyrics?.lines;
+            if (!Array.isArray(lines) || lines.length === 0) return null;
+
+            if (response.lyrics.syncType === "LINE_SYNCED") {
+                return {
+                    syncedLyrics: lines.map(line => `[${formatLRCTimestamp(Number(line.startTimeMs))}]${line.words}`).join("\n"),
+                    plainLyrics: null,
+                };
+            }
+            return { syncedLyrics: null, plainLyrics: lines.map(line => line.words).join("\n") };
+        },
+    });
+
+    // --- CANDIDATE MATCHING ---
+    const MATCH_CONFIDENCE_TRUSTED = 0.8; // At or above this a match is used without a "possible match" warning
+    const MATCH_CONFIDENCE_MIN = 0.45; // Candidates below this are discarded
+    const MATCH_WEIGHTS = { title: 0.35, artist: 0.3, duration: 0.25, album: 0.1 };
+    const LOOKUP_CONCURRENCY = 4; // Provider requests in flight at once
+    const LOOKUP_REQUEST_TIMEOUT = 8000; // A single provider request that takes longer counts as failed
+
+    /**
+     * @typedef {object} LyricsVersion
+     * @property {Array<{time: number, text: string}>} lyrics The parsed synced lyrics.
+     * @property {string} provider The id of the provider that returned them.
+     * @property {LyricsQuery} query The query that found them.
+     * @property {string} key A stable key derived from the LRC text.
+     * @property {number} confidence How well the match fits the track, from 0 to 1.
+     * @property {{trackName: string, artistName: string, albumName: string, duration: number}|null} match What the provider matched, when it reports it.
+     */
+
+    /**
+     * Normalizes a title, artist or album for comparison: lowercase, no accents, no punctuation.
+     * @param {string} text The text to normalize.
+     * @returns {string}
+     */
+    function normalizeForMatch(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Compares two normalized strings using the Sørensen–Dice coefficient over character bigrams.
+     * @param {string} a The first string.
+     * @param {string} b The second string.
+     * @returns {number} Similarity from 0 to 1.
+     */
+    function textSimilarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+
+        const bigrams = new Map();
+        for (let i = 0; i < a.length - 1; i++) {
+            const bigram = a.slice(i, i + 2);
+            bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+        let overlap = 0;
+        for (let i = 0; i < b.length - 1; i++) {
+            const bigram = b.slice(i, i + 2);
+            const count = bigrams.get(bigram) || 0;
+            if (count > 0) {
+                bigrams.set(bigram, count - 1);
+                overlap++;
+            }
+        }
+        return (2 * overlap) / (a.length + b.length - 2);
+    }
+
+    /**
+     * Scores how likely a provider candidate is the track being played.
+     * @param {{trackName?: string, artistName?: string, albumName?: string, duration?: number}} candidate The candidate.
+     * @param {object} meta The track metadata.
+     * @returns {number} Confidence from 0 to 1.
+     */
+    function scoreCandidate(candidate, meta) {
+        const titleScore = Math.max(
+            textSimilarity(normalizeForMatch(meta.title), normalizeForMatch(candidate.trackName)),
+            textSimilarity(normalizeForMatch(cleanText(meta.title)), normalizeForMatch(cleanText(candidate.trackName)))
+        );
+
+        const splitArtists = (artists) => String(artists || '').split(/,|\/|&|;|feat\.|ft\./i).map(normalizeForMatch).filter(Boolean);
+        const wantedArtists = [normalizeForMatch(meta.artist_name), ...splitArtists(meta.artist_name)];
+        const candidateArtists = [normalizeForMatch(candidate.artistName), ...splitArtists(candidate.artistName)];
+        let artistScore = 0;
+        for (const wanted of wantedArtists) {
+            for (const found of candidateArtists) {
+                artistScore = Math.max(artistScore, textSimilarity(wanted, found));
+            }
+        }
+
+        const trackDuration = Number(meta.duration) || 0;
+        let durationScore = 0.5; // Neutral when either side has no duration
+        if (trackDuration && candidate.duration) {
+            const deltaSeconds = Math.abs(candidate.duration - trackDuration) / 1000;
+            durationScore = deltaSeconds <= 2 ? 1 : Math.max(0, 1 - (deltaSeconds - 2) / 13);
+        }
+
+        const albumScore = meta.album_title && candidate.albumName
+            ? textSimilarity(normalizeForMatch(meta.album_title), normalizeForMatch(candidate.albumName))
+            : 0.5;
+
+        return MATCH_WEIGHTS.title * titleScore
+            + MATCH_WEIGHTS.artist * artistScore
+            + MATCH_WEIGHTS.duration * durationScore
+            + MATCH_WEIGHTS.album * albumScore;
+    }
+
+    /**
+     * Builds the distinct title/artist pairs to send to a provider's search endpoint.
+     * Album is left out because it only affects ranking.
+     * @param {object} meta The track metadata.
+     * @returns {Array<{title: string, artist: string, album: string}>}
+     */
+    function getSearchQueries(meta) {
+        const seen = new Set();
+        return getSearchPermutations(meta)
+            .filter(({ title, artist }) => {
+                const key = JSON.stringify([title, artist]);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .map(({ title, artist }) => ({ title, artist, album: '' }));
+    }
+
+    /**
+     * Turns a provider response into a lyrics version, or null if it has no usable synced lyrics.
+     * @param {LyricsProvider} provider The provider that answered.
+     * @param {LyricsResult} response The provider response.
+     * @param {LyricsQuery} query The query that was sent.
+     * @param {number} confidence The match confidence.
+     * @returns {LyricsVersion|null}
+     */
+    function createLyricsVersion(provider, response, query, confidence) {
+        const lyrics = parseLRC(response.syncedLyrics);
+        if (!lyrics) return null;
+        return {
+            lyrics,
+            provider: provider.id,
+            query,
+            key: hashString(response.syncedLyrics),
+            confidence,
+            match: response.trackName
+                ? { trackName: response.trackName, artistName: response.artistName || '', albumName: response.albumName || '', duration: response.duration || 0 }
+                : null,
+        };
+    }
+
+    /**
+     * Settles with the promise, or rejects as soon as the signal aborts or the timeout elapses.
+     * @template T
+     * @param {Promise<T>} promise The promise to guard.
+     * @param {AbortSignal} signal The signal that cancels the wait.
+     * @param {number} timeoutMs How long to wait before giving up.
+     * @returns {Promise<T>}
+     */
+    function abortable(promise, signal, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(new DOMException("Aborted", "AbortError"));
+                return;
+            }
+            const onAbort = () => reject(new DOMException("Aborted", "AbortError"));
+            const timer = setTimeout(() => reject(new DOMException("Timed out", "TimeoutError")), timeoutMs);
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally(() => {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+
+    /**
+     * Runs lookup tasks with a bounded number in flight at once.
+     * Results are handed to `onResult` as they land; once `shouldStop` returns true no new task starts
+     * and the in-flight ones are cancelled. Aborting `signal` cancels everything the same way.
+     * @template T
+     * @param {Array<(signal: AbortSignal) => Promise<T>>} tasks The lookups to run, in priority order.
+     * @param {{signal?: AbortSignal, onResult: (value: T, index: number) => void, shouldStop?: () => boolean}} options
+     * @returns {Promise<void>}
+     */
+    async function runLookupPipeline(tasks, { signal, onResult, shouldStop }) {
+        const controller = new AbortController();
+        const stopPipeline = () => controller.abort();
+        if (signal?.aborted) return;
+        signal?.addEventListener('abort', stopPipeline, { once: true });
+
+        let nextIndex = 0;
+        const worker = async () => {
+            while (nextIndex < tasks.length && !controller.signal.aborted) {
+                const index = nextIndex++;
+                try {
+                    const value = await abortable(tasks[index](controller.signal), controller.signal, LOOKUP_REQUEST_TIMEOUT);
+                    onResult(value, index);
+                } catch (err) {
+                    // Failed or cancelled lookups simply contribute nothing.
+                }
+                if (shouldStop?.()) stopPipeline();
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(LOOKUP_CONCURRENCY, tasks.length) }, worker));
+        } finally {
+            signal?.removeEventListener('abort', stopPipeline);
+        }
+    }
+
+    /**
+     * Queries a provider's search endpoint, scores every candidate against the track and ranks them.
+     * Falls back to a single exact lookup when the search finds nothing usable.
+     * @param {LyricsProvider} provider The provider to query.
+     * @param {object} track The track object.
+     * @param {{signal?: AbortSignal}} options
+     * @returns {Promise<{synced: LyricsVersion[], plainLyrics: string|null, reachable: boolean}>}
+     */
+    async function matchWithSearch(provider, track, { signal }) {
+        const meta = track.metadata || {};
+        const duration = Number(meta.duration) || 0;
+        const queries = getSearchQueries(meta).map(searchQuery => ({ uri: track.uri, ...searchQuery, duration }));
+        const candidates = new Map();
+        let reachable = false;
+
+        await runLookupPipeline(queries.map(query => (taskSignal) => provider.search(query, taskSignal)), {
+            signal,
+            onResult: (results, index) => {
+                reachable = true;
+                for (const candidate of results) {
+                    const text = candidate.syncedLyrics || candidate.plainLyrics;
+                    if (!text || candidates.has(text)) continue;
+                    candidates.set(text, { candidate, query: queries[index], confidence: scoreCandidate(candidate, meta) });
+                }
+            },
+            // Stop widening the search once a trusted synced match is in hand
+            shouldStop: () => Array.from(candidates.values()).some(({ candidate, confidence }) => candidate.syncedLyrics && confidence >= MATCH_CONFIDENCE_TRUSTED),
+        });
+
+        const ranked = Array.from(candidates.values())
+            .filter(({ confidence }) => confidence >= MATCH_CONFIDENCE_MIN)
+            .sort((a, b) => b.confidence - a.confidence);
+        const synced = ranked
+            .filter(({ candidate }) => candidate.syncedLyrics)
+            .map(({ candidate, query, confidence }) => createLyricsVersion(provider, candidate, query, confidence))
+            .filter(Boolean);
+        const plainLyrics = ranked.find(({ candidate }) => candidate.plainLyrics)?.candidate.plainLyrics || null;
+
+        if (synced.length > 0 || signal?.aborted) {
+            return { synced, plainLyrics, reachable };
+        }
+
+        const exactQuery = { uri: track.uri, title: meta.title || '', artist: meta.artist_name || '', album: meta.album_title || '', duration };
+        const exact = await matchWithGet(provider, track, { signal, queries: [exactQuery] });
+        return {
+            synced: exact.synced,
+            plainLyrics: plainLyrics || exact.plainLyrics,
+            reachable: reachable || exact.reachable,
+        };
+    }
+
+    /**
+     * Looks lyrics up with a provider's exact `get`, running the queries through the lookup pipeline.
+     * Stops early once a trusted synced hit lands (or any synced hit, with `stopAtFirst`).
+     * @param {LyricsProvider} provider The provider to query.
+     * @param {object} track The track object.
+     * @param {{signal?: AbortSignal, stopAtFirst?: boolean, queries?: LyricsQuery[]}} options
+     * @returns {Promise<{synced: LyricsVersion[], plainLyrics: string|null, reachable: boolean}>}
+     */
+    async function matchWithGet(provider, track, { signal, stopAtFirst = false, queries }) {
+        const meta = track.metadata || {};
+        const duration = Number(meta.duration) || 0;
+        if (!queries) {
+            queries = provider.capabilities.byUri
+                ? [{ uri: track.uri, title: meta.title || '', artist: meta.artist_name || '', album: meta.album_title || '', duration }]
+                : getSearchPermutations(meta).map(permutation => ({ uri: track.uri, ...permutation, duration }));
+        }
+
+        const found = []; // Versions with the index of the query that found them, to keep ties in priority order
+        const foundLyrics = new Set();
+        let plainLyrics = null;
+        let plainIndex = Infinity;
+        let reachable = false;
+
+        await runLookupPipeline(queries.map(query => (taskSignal) => provider.get(query, taskSignal)), {
+            signal,
+            onResult: (response, index) => {
+                reachable = true;
+                if (!response) return;
+
+                if (response.plainLyrics && index < plainIndex) {
+                    plainLyrics = response.plainLyrics;
+                    plainIndex = index;
+                }
+                if (response.syncedLyrics && !foundLyrics.has(response.syncedLyrics)) {
+                    // URI lookups are exact; name lookups are scored like search results when the provider reports what it matched
+                    const confidence = provider.capabilities.byUri || !response.trackName ? 1 : scoreCandidate(response, meta);
+                    const version = confidence >= MATCH_CONFIDENCE_MIN ? createLyricsVersion(provider, response, queries[index], confidence) : null;
+                    if (version) {
+                        found.push({ version, index });
+                        foundLyrics.add(response.syncedLyrics);
+                    }
+                }
+            },
+            shouldStop: () => found.some(({ version }) => stopAtFirst || version.confidence >= MATCH_CONFIDENCE_TRUSTED),
+        });
+
+        const synced = found
+            .sort((a, b) => (b.version.confidence - a.version.confidence) || (a.index - b.index))
+            .map(({ version }) => version);
+        return { synced, plainLyrics, reachable };
+    }
+
+    /**
+     * Walks the provider chain in priority order and collects lyrics for a track.
+     * Providers with a search endpoint are matched by ranked candidates, the others by exact lookups.
+     * A provider is only skipped in favour of the next one when it has no synced lyrics, unless `allProviders`
+     * asks for the versions of every provider.
+     * @param {object} track The track object (needs `uri` and `metadata`).
+     * @param {{signal?: AbortSignal, stopAtFirst?: boolean, allProviders?: boolean, skipProviders?: Set<string>, onProviderStatus?: (providerId: string, status: string) => void}} [options]
+     * @returns {Promise<{status: 'found' | 'plain' | 'not-found' | 'offline' | 'aborted', synced: LyricsVersion[], plainLyrics: string|null, plainProvider: string|null, reachable: boolean}>}
+     */
+    async function lookupLyrics(track, { signal, stopAtFirst = false, allProviders = false, skipProviders, onProviderStatus } = {}) {
+        /** @type {{status: 'found' | 'plain' | 'not-found' | 'offline' | 'aborted', synced: LyricsVersion[], plainLyrics: string|null, plainProvider: string|null, reachable: boolean}} */
+        const result = { status: 'not-found', synced: [], plainLyrics: null, plainProvider: null, reachable: false };
+
+        for (const provider of getProviderChain()) {
+            if (signal?.aborted) break;
+            if (skipProviders?.has(provider.id)) continue;
+            onProviderStatus?.(provider.id, 'checking');
+
+            const outcome = provider.search
+                ? await matchWithSearch(provider, track, { signal })
+                : await matchWithGet(provider, track, { signal, stopAtFirst });
+            if (signal?.aborted) break;
+
+            result.reachable = result.reachable || outcome.reachable;
+            if (!result.plainLyrics && outcome.plainLyrics) {
+                result.plainLyrics = outcome.plainLyrics;
+                result.plainProvider = provider.id;
+            }
+
+            const providerFound = outcome.synced.length > 0;
+            onProviderStatus?.(provider.id, providerFound ? 'online' : outcome.reachable ? 'not-found' : 'offline');
+            if (providerFound) {
+                result.synced = result.synced.concat(outcome.synced);
+                if (!allProviders) break;
+            }
+        }
+
+        if (signal?.aborted) {
+            result.status = 'aborted';
+        } else if (result.synced.length > 0) {
+            result.status = 'found';
+        } else if (result.plainLyrics) {
+            result.status = 'plain';
+        } else {
+            result.status = result.reachable ? 'not-found' : 'offline';
+        }
+        return result;
+    }
+
+    /**
+     * Makes looked-up versions available in the switcher while other lyrics may already be on screen.
+     * The current version is the one chosen before, else the one matching the shown lyrics.
+     * @param {string} trackUri The track URI.
+     * @param {LyricsVersion[]} versions
+     * @param {Array<{time: number, text: string}>} shownLyrics The lyrics on screen, without translation.
+     */
+    function setAvailableVersions(trackUri, versions, shownLyrics) {
+        const isShown = version => version.lyrics.length === shownLyrics.length
+            && version.lyrics.every((line, index) => line.time === shownLyrics[index].time && line.text === shownLyrics[index].text);
+        const chosenIndex = versions.findIndex(version => version.key === chosenVersions[trackUri]);
+        availableLyrics = versions;
+        currentVersionIndex = Math.max(0, chosenIndex > -1 ? chosenIndex : versions.findIndex(isShown));
+        updateVersionsButton();
+    }
+
+    /**
+     * Looks up the versions of a track whose cached entry has none stored, keeping the cached lyrics on screen.
+     * The result is stored with the entry, so the lookup runs once per entry.
+     * @param {object} track The track object.
+     * @param {CacheEntry} entry The cached entry on screen.
+     * @param {AbortSignal} signal The signal of the fetch that served the cached copy.
+     */
+    async function lookupCachedVersions(track, entry, signal) {
+        const result = await lookupLyrics(track, { signal });
+        if (result.status === 'aborted' || result.status === 'offline') return;
+
+        await putCachedVersions(track.uri, result.synced);
+        if (signal.aborted || track.uri !== latestFetchUri || page.dataset.uri !== track.uri) return;
+        setAvailableVersions(track.uri, result.synced, entry.lyrics);
+    }
+
+    /**
+     * Refreshes a stale cache entry in the background. The cached copy is kept when the providers
+     * have nothing trustworthy; otherwise the cache is updated and the page switches over if the track is still showing.
+     * @param {object} track The track whose cache entry is stale.
+     * @param {AbortSignal} signal The signal of the fetch that served the cached copy.
+     * @param {CacheEntry} entry The stale entry.
+     */
+    async function revalidateCachedLyrics(track, signal, entry) {
+        const result = await lookupLyrics(track, { signal });
+        if (result.status !== 'found') return;
+
+        const chosenIndex = result.synced.findIndex(version => version.key === chosenVersions[track.uri]);
+        const version = result.synced[Math.max(0, chosenIndex)];
+        if (chosenIndex === -1 && version.confidence < MATCH_CONFIDENCE_TRUSTED) {
+            // Keep the cached lyrics, but still offer what was found in the version switcher
+            await putCachedVersions(track.uri, result.synced);
+            if (!signal.aborted && track.uri === latestFetchUri && page.dataset.uri === track.uri) {
+                setAvailableVersions(track.uri, result.synced, entry.lyrics);
+            }
+            return;
+        }
+
+        await putCachedLyrics(track.uri, version.lyrics, { ...getCacheDetails(track), versions: result.synced });
+        if (signal.aborted || track.uri !== latestFetchUri || page.dataset.uri !== track.uri) return;
+
+        availableLyrics = result.synced;
+        currentVersionIndex = Math.max(0, chosenIndex);
+        currentPlainLyrics = null;
+        setLyricsEstimated(false);
+        setSourceBadge('');
+        setCurrentLyrics(version.lyrics);
+        currentActiveLineIndex = -1;
+        renderLyricsContent(buildLyricsHtml(currentLyrics));
+        updateLyricsUI(getPlaybackPosition());
+        updateVersionsButton();
+        updateSyncEditorControls();
+        updateStatusIndicator('online', 'Lyrics Found (Refreshed)');
+    }
+
+    /**
+     * Fetches lyrics for the current track from the selected provider.
+     * @param {object} track The current track object from Spicetify.
+     */
+    async function fetchLyrics(track) {
+        // Cancel any previous in-progress fetch
+        if (currentFetchController) {
+            currentFetchController.abort();
+        }
+        currentFetchController = new AbortController();
+        const { signal } = currentFetchController;
+
+        if (!track?.uri) {
+            currentLyrics = null;
+            renderPageShell(null);
+            renderLyricsContent(`No song playing.`);
+            return;
+        }
+
+        // Mark this fetch as the latest one
+        latestFetchUri = track.uri;
+
+
+        if (page.dataset.uri === track.uri && (currentLyrics || syncEditor)) {
+            updateLyricsUI(getPlaybackPosition());
+            return;
+        }
+
+        page.dataset.uri = track.uri;
+        currentLyrics = null;
+        availableLyrics = [];
+        currentVersionIndex = 0;
+        currentSourceBadge = '';
+        currentPlainLyrics = null;
+        lyricsEstimated = false;
+        syncHereArmed = false;
+        page.classList.remove('sync-here-armed');
+        currentTranslation = null;
+        syncEditor = null;
+        currentActiveLineIndex = -1;
+        lyricsStarted = false; // Reset for new song
+        renderPageShell(track);
+        updatePlayerControlsUI(Player.data);
+        
+        // User-supplied lyrics win over everything else
+        const trackUri = track.uri;
+        const [override, translation] = await Promise.all([getLyricsOverride(trackUri), getTranslation(trackUri)]);
+        if (signal.aborted || track.uri !== latestFetchUri) return;
+        currentTranslation = translation;
+        if (override) {
+            showImportedLyrics(override.lyrics, override.fileName);
+            return;
+        }
+
+        // Check cache first
+        const cached = await getCachedLyrics(trackUri);
+        if (signal.aborted || track.uri !== latestFetchUri) return;
+        if (cached) {
+            const plainLines = getPlainCachedLines(cached);
+            if (plainLines) {
+                currentPlainLyrics = plainLines;
+                renderPlainLyrics();
+                updateStatusIndicator('not-found', 'No Synced Lyrics Found (plain, cached)');
+            } else {
+                setCurrentLyrics(cached.lyrics);
+                if (cached.versions) setAvailableVersions(trackUri, cached.versions, cached.lyrics);
+                const contentHtml = buildLyricsHtml(currentLyrics);
+                renderLyricsContent(contentHtml);
+                updateLyricsUI(getPlaybackPosition());
+                updateStatusIndicator('online', 'Lyrics Found (Cached)');
+            }
+            if (isCacheEntryStale(cached)) {
+                revalidateCachedLyrics(track, signal, cached);
+            } else if (!plainLines && !cached.versions) {
+                lookupCachedVersions(track, cached, signal);
+            }
+            return;
+        }
+
+        renderLyricsContent(`Loading...`);
+        updateStatusIndicator('checking', 'Loading...');
+
+        for (const provider of lyricsProviders.values()) {
+            setProviderStatus(provider.id, '');
+        }
+        const result = await lookupLyrics(track, { signal, onProviderStatus: setProviderStatus });
+        if (result.status === 'aborted' || track.uri !== latestFetchUri) return;
+
+        availableLyrics = result.synced;
+
+        if (result.status === 'found') {
+            const chosenIndex = availableLyrics.findIndex(version => version.key === chosenVersions[track.uri]);
+            currentVersionIndex = Math.max(0, chosenIndex);
+            const version = availableLyrics[currentVersionIndex];
+            const providerName = lyricsProviders.get(version.provider).name;
+            // A version the user picked before is trusted regardless of its score
+            const isPossibleMatch = chosenIndex === -1 && version.confidence < MATCH_CONFIDENCE_TRUSTED;
+            setCurrentLyrics(version.lyrics);
+            updateVersionsButton();
+            if (currentConfig.autoCache && !isPossibleMatch) {
+                cacheCurrentSongLyrics();
+            }
+            const contentHtml = buildLyricsHtml(currentLyrics);
+            renderLyricsContent(contentHtml);
+            updateLyricsUI(getPlaybackPosition());
+            if (isPossibleMatch) {
+                const confidence = Math.round(version.confidence * 100);
+                setSourceBadge(`Possible match · ${confidence}%`);
+                updateStatusIndicator('not-found', `Possible match (${confidence}%) via ${providerName}`);
+            } else {
+                updateStatusIndicator('online', `Found ${availableLyrics.length} version(s) via ${providerName}`);
+            }
+        } else if (result.status === 'plain') {
+            currentPlainLyrics = result.plainLyrics.split('\n');
+            if (currentConfig.autoCache) {
+                putCachedPlainLyrics(track.uri, currentPlainLyrics, getCacheDetails(track));
+            }
+            renderPlainLyrics();
+            updateStatusIndicator('not-found', `No Synced Lyrics Found (plain via ${lyricsProviders.get(result.plainProvider).name})`);
+        } else if (result.status === 'not-found') {
+            renderLyricsContent(`Lyrics not found.`);
+            updateStatusIndicator('not-found', 'No Lyrics Found');
+        } else {
+            renderLyricsContent(`Lyrics providers seem to be offline.`);
+            updateStatusIndicator('offline', 'Providers Offline');
+        }
+        currentFetchController = null;
+    }
+
+    // --- ROMANIZATION ---
+    // Everything here runs offline from bundled tables. Kanji and other logographs are left as they are.
+    const HANGUL_BASE = 0xAC00;
+    const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+    const HANGUL_MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+    const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+    // Single final consonants carried over to a following silent ㅇ, e.g. 음악 -> eumak
+    const HANGUL_LIAISON = { 1: 'g', 2: 'kk', 4: 'n', 7: 'd', 8: 'r', 16: 'm', 17: 'b', 19: 's', 20: 'ss', 22: 'j', 23: 'ch', 24: 'k', 25: 't', 26: 'p' };
+    const HANGUL_SILENT_INITIAL = 11;
+    const HANGUL_RIEUL_INITIAL = 5;
+    const HANGUL_RIEUL_FINAL = 8;
+
+    const KANA_TABLE = {
+        'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+        'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+        'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+        'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+        'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+        'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+        'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+        'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+        'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+        'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+        'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+        'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+        'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+        'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+        'わ': 'wa', 'ゐ': 'wi', 'ゑ': 'we', 'を': 'o', 'ん': 'n', 'ゔ': 'vu',
+        'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o', 'ゎ': 'wa',
+        '、': ', ', '。': '. ', '「': '"', '」': '"', '・': ' ', '　': ' ',
+    };
+    const KANA_SMALL_Y = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+    const KANA_SMALL_VOWELS = { 'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o' };
+
+    const CYRILLIC_TABLE = {
+        'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z', 'и': 'i',
+        'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't',
+        'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '',
+        'э': 'e', 'ю': 'yu', 'я': 'ya', 'і': 'i', 'ї': 'yi', 'є': 'ye', 'ґ': 'g', 'ў': 'w', 'ђ': 'đ', 'ј': 'j',
+        'љ': 'lj', 'њ': 'nj', 'ћ': 'ć', 'џ': 'dž', 'ѓ': 'gj', 'ќ': 'kj', 'ѕ': 'dz',
+    };
+
+    const GREEK_TABLE = {
+        'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i', 'κ': 'k',
+        'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't',
+        'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o',
+        'ά': 'a', 'έ': 'e', 'ή': 'i', 'ί': 'i', 'ό': 'o', 'ύ': 'y', 'ώ': 'o', 'ϊ': 'i', 'ϋ': 'y', 'ΐ': 'i', 'ΰ': 'y',
+    };
+
+    /**
+     * Romanizes Hangul syllables with the Revised Romanization, including the most common sound linking.
+     * @param {string} text
+     * @returns {string}
+     */
+    function romanizeHangul(text) {
+        const chars = Array.from(text);
+        const decompose = (char) => {
+            const index = char ? char.charCodeAt(0) - HANGUL_BASE : -1;
+            if (index < 0 || index > 11171) return null;
+            return { initial: Math.floor(index / 588), medial: Math.floor((index % 588) / 28), final: index % 28 };
+        };
+
+        let result = '';
+        let carried = null; // Final consonant moved over to the next syllable
+        chars.forEach((char, i) => {
+            const syllable = decompose(char);
+            if (!syllable) {
+                result += char;
+                carried = null;
+                return;
+            }
+            const next = decompose(chars[i + 1]);
+            result += carried !== null ? carried : HANGUL_INITIALS[syllable.initial];
+            result += HANGUL_MEDIALS[syllable.medial];
+            carried = null;
+
+            if (next && next.initial === HANGUL_SILENT_INITIAL && HANGUL_LIAISON[syllable.final]) {
+                carried = HANGUL_LIAISON[syllable.final];
+            } else if (next && syllable.final === HANGUL_RIEUL_FINAL && next.initial === HANGUL_RIEUL_INITIAL) {
+                result += 'l';
+                carried = 'l';
+            } else {
+                result += HANGUL_FINALS[syllable.final];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Romanizes hiragana and katakana with Hepburn spelling. Handles contracted sounds, っ and ー.
+     * @param {string} text
+     * @returns {string}
+     */
+    function romanizeKana(text) {
+        // Katakana sits exactly 0x60 code points above the matching hiragana
+        const hiragana = text.replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+
+        let result = '';
+        let doubleNext = false;
+        for (const char of hiragana) {
+            if (char === 'っ') {
+                doubleNext = true;
+                continue;
+            }
+            if (char === 'ー') {
+                const lastChar = result.slice(-1);
+                if (/[aeiou]/.test(lastChar)) result += lastChar;
+                continue;
+            }
+            if (KANA_SMALL_Y[char] && /i$/.test(result)) {
+                const stem = result.slice(0, -1);
+                result = stem + (/(sh|ch|j)$/.test(stem) ? '' : 'y') + KANA_SMALL_Y[char];
+                continue;
+            }
+            if (KANA_SMALL_VOWELS[char] && /[a-z][aeiou]$/.test(result)) {
+                result = result.slice(0, -1) + KANA_SMALL_VOWELS[char];
+                continue;
+            }
+
+            let romaji = KANA_TABLE[char] ?? KANA_SMALL_Y[char] ?? char;
+            if (doubleNext && /^[a-z]/.test(romaji) && !/^[aeiou]/.test(romaji)) {
+                romaji = (romaji.startsWith('ch') ? 't' : romaji[0]) + romaji;
+            }
+            doubleNext = false;
+            result += romaji;
+        }
+        return result;
+    }
+
+    /**
+     * Transliterates an alphabetic script letter by letter, keeping the capitalization.
+     * @param {string} text
+     * @param {Record<string, string>} table Lowercase letter -> Latin spelling.
+     * @returns {string}
+     */
+    function transliterate(text, table) {
+        return Array.from(text).map(char => {
+            const lower = char.toLowerCase();
+            const latin = table[lower];
+            if (latin === undefined) return char;
+            return char !== lower && latin ? latin[0].toUpperCase() + latin.slice(1) : latin;
+        }).join('');
+    }
+
+    /** Scripts that can be romanized, in the order they are applied. */
+    const ROMANIZATION_SCRIPTS = {
+        hangul: { name: 'Korean', pattern: /[가-힣]/, romanize: romanizeHangul },
+        kana: { name: 'Japanese Kana', pattern: /[ぁ-ゖァ-ヺー]/, romanize: romanizeKana },
+        cyrillic: { name: 'Cyrillic', pattern: /[Ѐ-ӿ]/, romanize: text => transliterate(text, CYRILLIC_TABLE) },
+        greek: { name: 'Greek', pattern: /[Ͱ-Ͽἀ-῿]/, romanize: text => transliterate(text.replace(/ο[υύ]/g, 'ou').replace(/Ο[υύ]/g, 'Ou').replace(/ΟΥ/g, 'OU'), GREEK_TABLE) },
+    };
+
+    /**
+     * Romanizes a lyrics line with the scripts enabled in the settings.
+     * @param {string} text The original line.
+     * @returns {string|null} The romanized line, or null when romanization is off or nothing changed.
+     */
+    function romanizeText(text) {
+        if (!currentConfig.romanization || !text) return null;
+        let result = text;
+        for (const id of currentConfig.romanizationScripts) {
+            const script = ROMANIZATION_SCRIPTS[id];
+            if (script && script.pattern.test(result)) {
+                result = script.romanize(result);
+            }
+        }
+        return result !== text ? result.replace(/\s+/g, ' ').trim() : null;
+    }
+
+    /**
+     * Builds the secondary romanization line shown under a lyrics line.
+     * @param {string} text The original line.
+     * @returns {string} The HTML, or an empty string when there is nothing to show.
+     */
+    function buildRomanizationHtml(text) {
+        const romanized = romanizeText(text);
+        return romanized ? `<span class="lyrics-plus-romanization">${romanized}</span>` : '';
+    }
+
+    // --- LRC PARSING ---
+    const MAX_LAST_WORD_DURATION = 2000; // Cap for the final word of a line, which has no following timestamp
+    const LRC_TIMESTAMP_PATTERN = "(\\d{1,3}):(\\d{1,2})(?:[.:](\\d{1,3}))?"; // mm:ss, m:ss.xx, mmm:ss.xxx, ...
+    const LRC_LINE_TIMESTAMP_REGEX = new RegExp(`^\\[${LRC_TIMESTAMP_PATTERN}\\]`);
+    const LRC_WORD_TIMESTAMP_REGEX = new RegExp(`<${LRC_TIMESTAMP_PATTERN}>`);
+    const LRC_TAG_REGEX = /^\[([a-z#]+)\s*:(.*)\]$/i;
+
+    /**
+     * Converts the captured parts of an LRC timestamp into milliseconds.
+     * @param {string} min Minutes.
+     * @param {string} sec Seconds.
+     * @param {string} [fraction] Fraction of a second, 1 to 3 digits.
+     * @returns {number}
+     */
+    function lrcTimestampToMs(min, sec, fraction) {
+        return parseInt(min, 10) * 60000 + parseInt(sec, 10) * 1000 + (fraction ? parseInt(fraction.padEnd(3, '0'), 10) : 0);
+    }
+
+    /**
+     * Parses a full LRC document: ID tags, lines with one or more timestamps and enhanced word timings.
+     * Times are returned exactly as written; the `offset` tag is reported but not applied.
+     * @param {string} lrcText The raw LRC text.
+     * @returns {{tags: {ti: string, ar: string, al: string, length: number|null, offset: number, [key: string]: any}, lines: Array<{time: number, text: string, words?: Array<{time: number, end: number, text: string}>}>}}
+     */
+    function parseLRCDocument(lrcText) {
+        const tags = { ti: '', ar: '', al: '', length: null, offset: 0 };
+        const lines = [];
+
+        for (const rawLine of String(lrcText || '').split(/\r?\n/)) {
+            let rest = rawLine.trim();
+            const times = [];
+            let match;
+            while ((match = rest.match(LRC_LINE_TIMESTAMP_REGEX))) {
+                times.push(lrcTimestampToMs(match[1], match[2], match[3]));
+                rest = rest.slice(match[0].length);
+            }
+
+            if (times.length === 0) {
+                const tagMatch = rest.match(LRC_TAG_REGEX);
+                if (tagMatch) {
+                    const key = tagMatch[1].toLowerCase();
+                    const value = tagMatch[2].trim();
+                    if (key === 'offset') {
+                        tags.offset = parseInt(value, 10) || 0;
+                    } else if (key === 'length') {
+                        const lengthMatch = value.match(new RegExp(`^${LRC_TIMESTAMP_PATTERN}$`));
+                        tags.length = lengthMatch ? lrcTimestampToMs(lengthMatch[1], lengthMatch[2], lengthMatch[3]) : null;
+                    } else {
+                        tags[key] = value;
+                    }
+                }
+                continue;
+            }
+
+            // A line can be repeated at several times, e.g. [00:12.00][01:30.00]chorus
+            const words = parseWordTimings(rest, times[0]);
+            for (const time of times) {
+                if (!words) {
+                    lines.push({ time, text: rest.trim() || "♪" });
+                    continue;
+                }
+                const shift = time - times[0];
+                const lineWords = words.map(word => ({ time: word.time + shift, end: word.end === null ? null : word.end + shift, text: word.text }));
+                lines.push({ time, text: lineWords.map(word => word.text).join('').trim() || "♪", words: lineWords });
+            }
+        }
+
+        lines.sort((a, b) => a.time - b.time);
+        // The last word of each line may have no closing timestamp, so it ends where the next line starts
+        lines.forEach((line, i) => {
+            const lastWord = line.words?.[line.words.length - 1];
+            if (lastWord && lastWord.end === null) {
+                const nextTime = lines[i + 1]?.time ?? Infinity;
+                lastWord.end = Math.min(nextTime, lastWord.time + MAX_LAST_WORD_DURATION);
+            }
+        });
+        return { tags, lines };
+    }
+
+    /**
+     * Parses LRC formatted text into an array of objects with time and text.
+     * Lines in enhanced LRC format (`<mm:ss.xx>word`) additionally carry per-word timings.
+     * The `[offset:]` tag is applied: a positive value makes the lyrics appear sooner.
+     * @param {string} lrcText The raw LRC text.
+     * @returns {Array<{time: number, text: string, words?: Array<{time: number, end: number, text: string}>}>|null}
+     */
+    function parseLRC(lrcText) {
+        if (!lrcText) return null;
+        const { tags, lines } = parseLRCDocument(lrcText);
+        if (lines.length === 0) return null;
+        return tags.offset ? shiftLyrics(lines, -tags.offset) : lines;
+    }
+
+    /**
+     * Returns a copy of the lyrics with every line and word moved by the same amount.
+     * @param {Array<{time: number, text: string, words?: Array<{time: number, end: number, text: string}>}>} lyrics The lyrics to shift.
+     * @param {number} deltaMs The shift in milliseconds.
+     * @returns {Array<{time: number, text: string, words?: Array<{time: number, end: number, text: string}>}>}
+     */
+    function shiftLyrics(lyrics, deltaMs) {
+        return lyrics.map(line => ({
+            ...line,
+            time: Math.max(0, line.time + deltaMs),
+            ...(line.words && {
+                words: line.words.map(word => ({ ...word, time: Math.max(0, word.time + deltaMs), end: Math.max(0, word.end + deltaMs) })),
+            }),
+        }));
+    }
+
+    /**
+     * Extracts enhanced LRC word timings (`<mm:ss.xx>word`) from the text of a line.
+     * A trailing timestamp with no word after it marks the end of the last word.
+     * @param {string} text The line text after its line timestamps.
+     * @param {number} lineTime The line's start time in milliseconds.
+     * @returns {Array<{time: number, end: number|null, text: string}>|null} The words, or null if the line has no word timings.
+     */
+    function parseWordTimings(text, lineTime) {
+        const parts = text.split(new RegExp(LRC_WORD_TIMESTAMP_REGEX, 'g'));
+        if (parts.length < 5) return null; // No inline timestamps at all
+
+        const words = [];
+        if (parts[0].trim()) {
+            words.push({ time: lineTime, end: null, text: parts[0] });
+        }
+        for (let i = 1; i < parts.length; i += 4) {
+            const [min, sec, fraction, wordText] = parts.slice(i, i + 4);
+            const time = lrcTimestampToMs(min, sec, fraction);
+            const previousWord = words[words.length - 1];
+            if (previousWord && previousWord.end === null) {
+                previousWord.end = time;
+            }
+            if (wordText) {
+                words.push({ time, end: null, text: wordText });
+            }
+        }
+        return words.length > 0 ? words : null;
+    }
+
+    /**
+     * Serializes lyrics back into LRC text. This is the exact inverse of `parseLRCDocument`:
+     * every word gets its own timestamp and the last word of a line is closed explicitly.
+     * @param {Array<{time: number, text: string, words?: Array<{time: number, end: number, text: string}>}>} lyrics The lyrics to write.
+     * @param {{ar?: string, ti?: string, al?: string, length?: number|null, offset?: number}} [tags] ID tags for the header.
+     * @returns {string}
+     */
+    function serializeLRC(lyrics, tags = {}) {
+        let lrcContent = '';
+        if (tags.ar) lrcContent += `[ar: ${tags.ar}]\n`;
+        if (tags.ti) lrcContent += `[ti: ${tags.ti}]\n`;
+        if (tags.al) lrcContent += `[al: ${tags.al}]\n`;
+        if (tags.length) lrcContent += `[length: ${formatLRCTimestamp(tags.length)}]\n`;
+        if (tags.offset) lrcContent += `[offset: ${tags.offset}]\n`;
+        if (lrcContent) lrcContent += '\n';
+
+        lyrics.forEach(line => {
+            let text = line.text;
+            if (line.words) {
+                const lastWord = line.words[line.words.length - 1];
+                text = line.words.map(word => `<${formatLRCTimestamp(word.time)}>${word.text}`).join('') + `<${formatLRCTimestamp(lastWord.end)}>`;
+            }
+            lrcContent += `[${formatLRCTimestamp(line.time)}]${text}\n`;
+        });
+        return lrcContent;
+    }
+
+    /**
+     * Builds the HTML of each line of a set of synced lyrics. Lines with word timings get one span per word.
+     * @param {Array<{time: number, text: string, words?: Array<{time: number, end: number, text: string}>}>} lyrics The parsed lyrics.
+     * @returns {string[]}
+     */
+    function buildLyricsHtml(lyrics) {
+        return lyrics.map((line, index) => {
+            const dataAttributes = `data-time="${line.time}" data-text="${line.text.replace(/"/g, '&quot;')}"`;
+            const romanizationHtml = buildRomanizationHtml(line.text);
+            // Break indicators, hidden until a break is running; see INSTRUMENTAL BREAKS
+            const breakHtml = `<span class="lyrics-plus-break before" aria-hidden="true">${BREAK_INDICATOR_HTML}</span>`;
+            const outroHtml = index === lyrics.length - 1 ? `<span class="lyrics-plus-break after" aria-hidden="true">${BREAK_INDICATOR_HTML}</span>` : '';
+            if (line.secondary && currentConfig.translationSwap) {
+                // Word timings belong to the original, so the swapped main line is highlighted as a whole
+                return `<p class="lyrics-plus-line" ${dataAttributes}>${breakHtml}${line.secondary}<span class="lyrics-plus-secondary">${line.text}</span>${romanizationHtml}${outroHtml}</p>`;
+            }
+            const secondaryHtml = line.secondary ? `<span class="lyrics-plus-secondary">${line.secondary}</span>` : '';
+            if (!line.words) {
+                return `<p class="lyrics-plus-line" ${dataAttributes}>${breakHtml}${line.text}${romanizationHtml}${secondaryHtml}${outroHtml}</p>`;
+            }
+            const wordsHtml = line.words.map(word => `<span class="lyrics-plus-word">${word.text}</span>`).join('');
+            return `<p class="lyrics-plus-line has-words" ${dataAttributes}>${breakHtml}${wordsHtml}${romanizationHtml}${secondaryHtml}${outroHtml}</p>`;
+        });
+    }
+
+    /**
+     * Formats milliseconds into an LRC mm:ss.xx timestamp.
+     * @param {number} ms Milliseconds.
+     * @returns {string}
+     */
+    function formatLRCTimestamp(ms) {
+        const totalCentiseconds = Math.max(0, Math.round(ms / 10));
+        const minutes = Math.floor(totalCentiseconds / 6000).toString().padStart(2, '0');
+        const seconds = Math.floor((totalCentiseconds % 6000) / 100).toString().padStart(2, '0');
+        const centiseconds = (totalCentiseconds % 100).toString().padStart(2, '0');
+        return `${minutes}:${seconds}.${centiseconds}`;
+    }
+
+    /**
+     * Formats milliseconds into a mm:ss time string.
+     * @param {number} ms Milliseconds.
+     * @returns {string}
+     */
+    function formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60).toString();
+        const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+        return `${minutes}:${seconds}`;
+    }
+
+    // --- PLAYBACK CLOCK ---
+    // Spotify reports progress only a few times a second. In between, the position is extrapolated from the last
+    // report with performance.now(), and a requestAnimationFrame loop drives the lyrics and the controls from it.
+    const CLOCK_DRIFT_TOLERANCE = 250; // ms a progress report may differ from the clock before the clock is re-anchored
+    const playbackClock = { progress: 0, time: 0, playing: false, duration: 0, frameId: null };
+    // The controls updated every frame, looked up once per page shell, with the seconds their time texts show
+    /** @type {{playPauseBtn: HTMLElement, progressBar: HTMLElement, currentTimeEl: HTMLElement, totalTimeEl: HTMLElement, currentSecond: number|null, totalSecond: number|null}|null} */
+    let playerControls = null;
+
+    /**
+     * Re-anchors the clock to a known playback position, e.g. after a seek, pause or track change.
+     * @param {number} [progressMs] The position; read from the player when omitted.
+     */
+    function anchorPlaybackClock(progressMs = Player.getProgress()) {
+        playbackClock.progress = progressMs;
+        playbackClock.time = performance.now();
+        playbackClock.playing = Player.isPlaying();
+        playbackClock.duration = Player.data?.duration || 0;
+    }
+
+    /**
+     * Returns the extrapolated playback position.
+     * @returns {number} Milliseconds.
+     */
+    function getPlaybackPosition() {
+        const { progress, time, playing, duration } = playbackClock;
+        const position = playing ? progress + (performance.now() - time) : progress;
+        return duration ? Math.min(position, duration) : position;
+    }
+
+    /**
+     * Compares a progress report with the clock. Small differences are jitter; larger ones mean a seek happened.
+     * @param {number} progressMs The reported position.
+     */
+    function handleProgressReport(progressMs) {
+        if (Math.abs(progressMs - getPlaybackPosition()) > CLOCK_DRIFT_TOLERANCE || Player.isPlaying() !== playbackClock.playing) {
+            anchorPlaybackClock(progressMs);
+        }
+    }
+
+    /**
+     * Seeks the player and moves the clock there right away, instead of waiting for the next progress report.
+     * @param {number} positionMs
+     */
+    function seekPlayback(positionMs) {
+        const position = Math.max(0, Math.round(positionMs));
+        Player.seek(position);
+        anchorPlaybackClock(position);
+    }
+
+    /**
+     * Starts the frame loop. It stops by itself once the page is closed.
+     */
+    function startPlaybackClock() {
+        anchorPlaybackClock();
+        if (playbackClock.frameId === null) playbackClock.frameId = requestAnimationFrame(runPlaybackClock);
+    }
+
+    /**
+     * Frame loop callback. The UI updates it calls only touch the DOM when something actually changed.
+     */
+    function runPlaybackClock() {
+        playbackClock.frameId = null;
+        if (!isPageVisible) return;
+        updateLyricsUI(getPlaybackPosition());
+        playbackClock.frameId = requestAnimationFrame(runPlaybackClock);
+    }
+
+    /**
+     * Finds the line playing at a position: the last line that starts at or before it.
+     * @param {Array<{time: number}>} lyrics Lines sorted by time.
+     * @param {number} progressMs The offset-adjusted position.
+     * @returns {number} The line index, or -1 before the first line.
+     */
+    function findActiveLineIndex(lyrics, progressMs) {
+        let low = 0;
+        let high = lyrics.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (lyrics[mid].time <= progressMs) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Updates the player controls UI (play/pause button, progress bar, time).
+     * @param {object} data The player data from Spicetify.
+     * @param {number} [progressMs] The playback position; taken from the playback clock when omitted.
+     */
+    function updatePlayerControlsUI(data, progressMs = getPlaybackPosition()) {
+        if (!isPageVisible || !data || !playerControls) return;
+        const { playPauseBtn, progressBar, currentTimeEl, totalTimeEl } = playerControls;
+
+        const playState = data.is_playing ? 'playing' : 'paused';
+        if (playPauseBtn.dataset.state !== playState) {
+            playPauseBtn.dataset.state = playState;
+            playPauseBtn.innerHTML = data.is_playing ? 
+            `<svg height="20" width="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M8 5V19M16 5V19" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>` : 
+            `<svg height="20" width="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M16.6582 9.28638C18.098 10.1862 18.8178 10.6361 19.0647 11.2122C19.2803 11.7152 19.2803 12.2847 19.0647 12.7878C18.8178 13.3638 18.098 13.8137 16.6582 14.7136L9.896 18.94C8.29805 19.9387 7.49907 20.4381 6.83973 20.385C6.26501 20.3388 5.73818 20.0469 5.3944 19.584C5 19.053 5 18.1108 5 16.2264V7.77357C5 5.88919 5 4.94701 5.3944 4.41598C5.73818 3.9531 6.26501 3.66111 6.83973 3.6149C7.49907 3.5619 8.29805 4.06126 9.896 5.05998L16.6582 9.28638Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/></svg>`;
+        }
+
+        // The time texts change once a second, so they are only formatted then
+        const duration = data.duration;
+        const currentSecond = Math.floor(progressMs / 1000);
+        const totalSecond = Math.floor(duration / 1000);
+        if (playerControls.currentSecond !== currentSecond) {
+            playerControls.currentSecond = currentSecond;
+            currentTimeEl.textContent = formatTime(progressMs);
+        }
+        if (playerControls.totalSecond !== totalSecond) {
+            playerControls.totalSecond = totalSecond;
+            totalTimeEl.textContent = formatTime(duration);
+        }
+        progressBar.style.transform = `scaleX(${duration ? Math.min(1, progressMs / duration) : 0})`;
+    }
+
+    /**
+     * Updates the lyrics UI based on the current song progress.
+     * @param {number} progressMs The current progress in milliseconds.
+     */
+    function updateLyricsUI(progressMs) {
+        if (!isPageVisible) return;
+        updatePlayerControlsUI(Player.data, progressMs);
+        if (!currentLyrics) return;
+
+        const adjustedProgressMs = progressMs - getCurrentTrackOffset();
+        const newActiveLineIndex = findActiveLineIndex(currentLyrics, adjustedProgressMs);
+
+        if (newActiveLineIndex !== currentActiveLineIndex) {
+            if (!lineList?.html.length) return;
+            
+            const viewportEl = page.querySelector(".lyrics-plus-viewport");
+
+            if (!lyricsStarted && newActiveLineIndex > -1) {
+                lyricsStarted = true;
+                if (viewportEl) {
+                    viewportEl.classList.remove('lyrics-hidden');
+                }
+            }
+
+            currentActiveLineIndex = newActiveLineIndex;
+
+            // Animate scroll
+            if (isSynced && newActiveLineIndex > -1) {
+                scrollToLine(newActiveLineIndex);
+            }
+            refreshLineStates();
+        }
+
+        updateBreakIndicator(adjustedProgressMs);
+        updateWordHighlight(adjustedProgressMs);
+    }
+
+    /**
+     * Sweeps the fill across the words of the active line in step with playback.
+     * @param {number} progressMs The offset-adjusted progress in milliseconds.
+     */
+    function updateWordHighlight(progressMs) {
+        const words = currentLyrics?.[currentActiveLineIndex]?.words;
+        if (!words || activeWordElements.length !== words.length) return;
+
+        words.forEach((word, i) => {
+            const duration = word.end - word.time;
+            const fraction = duration > 0 ? (progressMs - word.time) / duration : (progressMs >= word.time ? 1 : 0);
+            const percentage = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+            const value = `${percentage}%`;
+            if (activeWordElements[i].style.getPropertyValue('--word-progress') !== value) {
+                activeWordElements[i].style.setProperty('--word-progress', value);
+            }
+        });
+    }
+
+    /**
+     * Reads an .lrc file and binds it to the current track as a local override.
+     * The file's `[offset:]` header becomes the track's offset, so a file written by `exportLRC` imports unchanged.
+     * @param {File} file The dropped or picked file.
+     */
+    async function importLRCFile(file) {
+        const track = Player.data?.item;
+        if (!track?.uri) {
+            Spicetify.showNotification("Play a song before importing lyrics.", true);
+            return;
+        }
+        if (!/\.(lrc|txt)$/i.test(file.name)) {
+            Spicetify.showNotification("Only .lrc and .txt files with timed lyrics can be imported.", true);
+            return;
+        }
+
+        let lrcDocument;
+        try {
+            lrcDocument = parseLRCDocument(await file.text());
+        } catch (e) {
+            console.error("[Lyrics+] Error reading .lrc file.", e);
+        }
+        if (!lrcDocument?.lines.length) {
+            Spicetify.showNotification(`${file.name} has no timed lyrics.`, true);
+            return;
+        }
+
+        try {
+            await putLyricsOverride(track.uri, lrcDocument.lines, file.name);
+        } catch (e) {
+            console.error("[Lyrics+] Error saving local lyrics.", e);
+            Spicetify.showNotification("Could not save the imported lyrics.", true);
+            return;
+        }
+        if (lrcDocument.tags.offset) {
+            setOffset('tracks', track.uri, -lrcDocument.tags.offset); // LRC offsets are positive when lyrics should appear sooner
+        }
+        if (page.dataset.uri === track.uri) {
+            showImportedLyrics(lrcDocument.lines, file.name);
+        }
+        Spicetify.showNotification(`Imported ${file.name}`);
+    }
+
+    /**
+     * Removes the local .lrc override from the current track and fetches its lyrics again.
+     */
+    async function removeImportedLRC() {
+        const track = Player.data?.item;
+        if (!track?.uri || !(await getLyricsOverride(track.uri))) {
+            Spicetify.showNotification("This song has no local lyrics.", true);
+            return;
+        }
+        await deleteLyricsOverride(track.uri);
+        page.dataset.uri = ''; // Force a fresh lookup
+        fetchLyrics(track);
+    }
+
+    /**
+     * Displays user-supplied lyrics and marks them as local.
+     * @param {Array<{time: number, text: string}>} lyrics The imported lyrics.
+     * @param {string} fileName The name of the imported file.
+     */
+    function showImportedLyrics(lyrics, fileName) {
+        setCurrentLyrics(lyrics);
+        availableLyrics = [];
+        currentActiveLineIndex = -1;
+        renderLyricsContent(buildLyricsHtml(currentLyrics));
+        updateLyricsUI(getPlaybackPosition());
+        updateVersionsButton();
+        setSourceBadge('Local');
+        updateStatusIndicator('local', `Local file (${fileName})`);
+    }
+
+    /**
+     * Exports the current lyrics to an LRC file.
+     */
+    function exportLRC() {
+        if (!currentLyrics || !Player.data?.item) {
+            Spicetify.showNotification("No lyrics to export.", true);
+            return;
+        }
+        if (lyricsEstimated) {
+            Spicetify.showNotification("These lyrics only have estimated timing. Sync them in the sync editor first.", true);
+            return;
+        }
+
+        const meta = Player.data.item.metadata;
+        const trackUri = Player.data.item.uri;
+        // Only the track layer describes the lyrics themselves; the other layers are about the listener's setup
+        const offset = getOffset('tracks', trackUri);
+
+        // The lyric timestamps are written untouched and the per-song offset goes in the header.
+        // LRC offsets are positive when lyrics should appear sooner, the opposite of ours.
+        const lrcContent = serializeLRC(currentLyrics, {
+            ar: meta.artist_name,
+            ti: meta.title,
+            al: meta.album_title,
+            length: Number(meta.duration) || null,
+            offset: -offset,
+        });
+
+        const blob = new Blob([lrcContent], { type: 'text/plain;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${meta.artist_name} - ${meta.title}.lrc`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+
+    // --- TRANSLATION ---
+    const TRANSLATION_MATCH_WINDOW = 1500; // Max distance in ms between an original line and its translation
+
+    /**
+     * Pairs every line with the translated line closest in time and stores it as the line's `secondary` text.
+     * @param {Array<{time: number, text: string}>} lyrics The original lines.
+     * @param {Array<{time: number, text: string}>} [translation] The translated lines, sorted by time.
+     * @returns {Array<{time: number, text: string, secondary?: string}>} New line objects; the input is untouched.
+     */
+    function mergeTranslation(lyrics, translation) {
+        const lines = withoutTranslation(lyrics);
+        const candidates = (translation || []).filter(line => line.text.trim() && line.text !== '♪');
+        if (!candidates.length) return lines;
+
+        return lines.map(line => {
+            // Binary search for the first translated line at or after this one, then compare with its predecessor
+            let low = 0;
+            let high = candidates.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (candidates[mid].time < line.time) low = mid + 1;
+                else high = mid;
+            }
+            const nearest = [candidates[low - 1], candidates[low]]
+                .filter(Boolean)
+                .reduce((best, candidate) => !best || Math.abs(candidate.time - line.time) < Math.abs(best.time - line.time) ? candidate : best, null);
+
+            if (!nearest || Math.abs(nearest.time - line.time) > TRANSLATION_MATCH_WINDOW || nearest.text === line.text) return line;
+            return { ...line, secondary: nearest.text };
+        });
     }
 
+    /**
+     * Strips merged translations, e.g. before lyrics are cached.
+     * @param {Array<{time: number, text: string, secondary?: string}>} lyrics
+     * @returns {Array<{time: number, text: string}>}
+     */
+    function withoutTranslation(lyrics) {
+        return lyrics.map(({ secondary, ...line }) => line);
+    }
 
     /**
-     * Fetches lyrics for the current track from the selected provider.
-     * @param {object} track The current track object from Spicetify.
+     * Makes a translation the current one and re-renders the lyrics with it.
+     * @param {object|null} translation The stored translation entry, or null to remove it.
      */
-    async function fetchLyrics(track) {
-        // Cancel any previous in-progress fetch
-        if (currentFetchController) {
-            currentFetchController.abort();
-        }
-        currentFetchController = new AbortController();
-        const { signal } = currentFetchController;
+    function applyTranslation(translation) {
+        currentTranslation = translation;
+        if (currentLyrics) setCurrentLyrics(currentLyrics);
+        currentActiveLineIndex = -1;
+        refreshLyricsContent();
+    }
 
+    /**
+     * Reads an .lrc file and attaches it to the current track as a translation.
+     * @param {File} file The picked file.
+     */
+    async function attachTranslationFile(file) {
+        const track = Player.data?.item;
         if (!track?.uri) {
-            currentLyrics = null;
-            renderPageShell(null);
-            renderLyricsContent(`No song playing.`);
+            Spicetify.showNotification("Play a song before attaching a translation.", true);
             return;
         }
 
-        // Mark this fetch as the latest one
-        latestFetchUri = track.uri;
-
-
-        if (page.dataset.uri === track.uri && currentLyrics) {
-            updateLyricsUI(Player.getProgress());
+        let lyrics;
+        try {
+            lyrics = parseLRC(await file.text());
+        } catch (e) {
+            console.error("[Lyrics+] Error reading translation file.", e);
+        }
+        if (!lyrics?.length) {
+            Spicetify.showNotification(`${file.name} has no timed lyrics.`, true);
             return;
         }
 
-        page.dataset.uri = track.uri;
-        currentLyrics = null;
-        availableLyrics = [];
-        currentActiveLineIndex = -1;
-        lyricsStarted = false; // Reset for new song
-        renderPageShell(track);
-        updatePlayerControlsUI(Player.data);
-        
-        // Check cache first
-        const trackUri = track.uri;
-        const cache = getCache();
-        if (cache[trackUri] && track.uri === latestFetchUri) {
-            currentLyrics = cache[trackUri].lyrics;
-            const contentHtml = currentLyrics.map(line => `<p class="lyrics-plus-line" data-time="${line.time}" data-text="${line.text.replace(/"/g, '&quot;')}">${line.text}</p>`).join('');
-            renderLyricsContent(contentHtml);
-            updateLyricsUI(Player.getProgress());
-            updateStatusIndicator('online', 'Lyrics Found (Cached)');
+        try {
+            const entry = await putTranslation(track.uri, lyrics, file.name);
+            if (page.dataset.uri === track.uri) applyTranslation(entry);
+        } catch (e) {
+            console.error("[Lyrics+] Error saving translation.", e);
+            Spicetify.showNotification("Could not save the translation.", true);
             return;
         }
+        Spicetify.showNotification(`Attached translation ${file.name}`);
+    }
 
-        renderLyricsContent(`Loading...`);
-        updateStatusIndicator('checking', 'Loading...');
-
-        const meta = track.metadata;
-        const searchPermutations = getSearchPermutations(meta);
-        let plainLyricsFallback = null;
-        let providerIsReachable = false;
-        const foundLyrics = new Set();
-
-        for (const permutation of searchPermutations) {
-            try {
-                const url = `${LYRIC_PROVIDER_URL}?track_name=${encodeURIComponent(permutation.title)}&artist_name=${encodeURIComponent(permutation.artist)}&album_name=${encodeURIComponent(permutation.album)}&duration=${Math.round(Number(meta.duration) / 1000)}`;
-
-                const response = await CosmosAsync.get(url, { signal });
-                if (track.uri !== latestFetchUri) return;
-                providerIsReachable = true;
-                
-                const syncedLyricsText = response.syncedLyrics;
-                if (!plainLyricsFallback && response.plainLyrics) {
-                    plainLyricsFallback = response.plainLyrics;
-                }
+    /**
+     * Attaches another lyrics version of the current track, e.g. from a second provider, as its translation.
+     * @param {number} index The index of the version in `availableLyrics`.
+     */
+    async function useVersionAsTranslation(index) {
+        const version = availableLyrics[index];
+        const trackUri = Player.data?.item?.uri;
+        if (!version || !trackUri || page.dataset.uri !== trackUri) return;
 
-                if (syncedLyricsText) {
-                    const parsedLyrics = parseLRC(syncedLyricsText);
-                    if (parsedLyrics && !foundLyrics.has(syncedLyricsText)) {
-                        availableLyrics.push(parsedLyrics);
-                        foundLyrics.add(syncedLyricsText);
-                    }
-                }
-            } catch (err) {
-                // This is expected for some permutations, so we don't log it.
-            }
+        const providerName = lyricsProviders.get(version.provider)?.name || version.provider;
+        try {
+            applyTranslation(await putTranslation(trackUri, version.lyrics, `${providerName} version ${index + 1}`));
+        } catch (e) {
+            console.error("[Lyrics+] Error saving translation.", e);
+            Spicetify.showNotification("Could not save the translation.", true);
         }
+    }
 
-        if (availableLyrics.length > 0) {
-            currentLyrics = availableLyrics[0];
-            if (currentConfig.autoCache) {
-                cacheCurrentSongLyrics();
-            }
-            const contentHtml = currentLyrics.map(line => `<p class="lyrics-plus-line" data-time="${line.time}" data-text="${line.text.replace(/"/g, '&quot;')}">${line.text}</p>`).join('');
-            renderLyricsContent(contentHtml);
-            updateLyricsUI(Player.getProgress());
-            updateStatusIndicator('online', `Found ${availableLyrics.length} version(s)`);
-        } else if (plainLyricsFallback) {
-            const plainHtml = plainLyricsFallback.split('\n').map(line => `<p class="lyrics-plus-line visible active">${line || '♪'}</p>`).join('');
-            renderLyricsContent(plainHtml);
-            updateStatusIndicator('not-found', 'No Synced Lyrics Found');
-        } else if (providerIsReachable) {
-            renderLyricsContent(`Lyrics not found.`);
-            updateStatusIndicator('not-found', 'No Lyrics Found');
-        } else {
-            renderLyricsContent(`Lyrics provider seems to be offline.`);
-            updateStatusIndicator('offline', 'Provider Offline');
-        currentFetchController = null;
+    /**
+     * Adds the versions of the providers that did not answer the first lookup, which stops at the first provider
+     * with synced lyrics, so that e.g. a translation can come from a different provider.
+     * @param {HTMLButtonElement} button The chooser button, disabled while searching.
+     */
+    async function lookupOtherProviderVersions(button) {
+        const track = Player.data?.item;
+        if (!track?.uri || page.dataset.uri !== track.uri) return;
+
+        button.disabled = true;
+        button.textContent = 'Searching...';
+        const searchedProviders = new Set(availableLyrics.map(version => version.provider));
+        const result = await lookupLyrics(track, { allProviders: true, skipProviders: searchedProviders });
+        if (page.dataset.uri !== track.uri) return;
+
+        const knownKeys = new Set(availableLyrics.map(version => version.key));
+        const newVersions = result.synced.filter(version => !knownKeys.has(version.key));
+        if (newVersions.length) {
+            availableLyrics = availableLyrics.concat(newVersions);
+            updateVersionsButton();
+            putCachedVersions(track.uri, availableLyrics);
         }
+        if (chooseModal.classList.contains('visible')) renderVersionChooser();
+        Spicetify.showNotification(newVersions.length ? `Found ${newVersions.length} more version(s).` : "No other provider has synced lyrics for this song.");
     }
 
     /**
-     * Parses LRC formatted text into an array of objects with time and text.
-     * @param {string} lrcText The raw LRC text.
-     * @returns {Array<{time: number, text: string}>|null}
+     * Detaches the translation from the current track.
      */
-    function parseLRC(lrcText) {
-        if (!lrcText) return null;
-        const lines = lrcText.split("\n");
-        const parsed = [];
-        for (const line of lines) {
-            const match = line.match(/\[(\d{2}):(\d{2})[.:](\d{2,3})\](.*)/);
-            if (match) {
-                const [, min, sec, ms, text] = match;
-                const time = parseInt(min, 10) * 60000 + parseInt(sec, 10) * 1000 + parseInt(ms.padEnd(3, '0'), 10);
-                parsed.push({ time, text: text.trim() || "♪" });
-            }
+    async function removeTranslation() {
+        const trackUri = Player.data?.item?.uri;
+        if (!trackUri || !(await getTranslation(trackUri))) {
+            Spicetify.showNotification("This song has no translation.", true);
+            return;
         }
-        return parsed.length > 0 ? parsed.sort((a, b) => a.time - b.time) : null;
+        await deleteTranslation(trackUri);
+        if (page.dataset.uri === trackUri) applyTranslation(null);
     }
 
+    // --- SYNC EDITOR ---
+    const SYNC_NUDGE_STEP = 100; // ms per arrow key press
+    const SYNC_NUDGE_FINE_STEP = 10; // ms per arrow key press with Shift held
+
     /**
-     * Formats milliseconds into a mm:ss time string.
-     * @param {number} ms Milliseconds.
-     * @returns {string}
+     * Shows the sync button while plain lyrics are on screen, and the toolbar while the editor is open.
      */
-    function formatTime(ms) {
-        const totalSeconds = Math.floor(ms / 1000);
-        const minutes = Math.floor(totalSeconds / 60).toString();
-        const seconds = (totalSeconds % 60).toString().padStart(2, '0');
-        return `${minutes}:${seconds}`;
+    function updateSyncEditorControls() {
+        const syncBtn = page.querySelector('#lyrics-plus-sync-btn');
+        const toolbar = page.querySelector('#lyrics-plus-sync-toolbar');
+        if (!syncBtn || !toolbar) return;
+        syncBtn.classList.toggle('visible', !!currentPlainLyrics && (!currentLyrics || lyricsEstimated) && !syncEditor);
+        toolbar.classList.toggle('visible', !!syncEditor);
+        toolbar.querySelector('[data-sync-action="preview"]').textContent = syncEditor?.previewing ? 'Edit' : 'Preview';
     }
 
     /**
-     * Updates the player controls UI (play/pause button, progress bar, time).
-     * @param {object} data The player data from Spicetify.
+     * Opens the sync editor for the plain lyrics of the current track.
      */
-    function updatePlayerControlsUI(data) {
-        if (!isPageVisible) return;
-        const playPauseBtn = page.querySelector('#lyrics-plus-play-pause-btn');
-        const progressBar = page.querySelector('#lyrics-plus-progress-bar');
-        const currentTimeEl = page.querySelector('#lyrics-plus-time-current');
-        const totalTimeEl = page.querySelector('#lyrics-plus-time-total');
+    function startSyncEditor() {
+        if (!currentPlainLyrics || syncEditor) return;
+        syncEditor = {
+            lines: currentPlainLyrics.map(text => ({ text, time: null })),
+            cursor: 0,
+            previewing: false,
+        };
+        currentLyrics = null;
+        setLyricsEstimated(false);
+        setSourceBadge('Sync editor');
+        renderSyncEditor();
+    }
 
-        if (!data || !playPauseBtn || !progressBar || !currentTimeEl || !totalTimeEl) return;
+    /**
+     * Renders the editor lines with their stamps and centers the line under the cursor.
+     */
+    function renderSyncEditor() {
+        const linesHtml = syncEditor.lines.map((line, index) => {
+            const classes = ['lyrics-plus-line', 'lyrics-plus-sync-line'];
+            if (index === syncEditor.cursor) classes.push('active');
+            if (line.time !== null) classes.push('stamped');
+            const stamp = line.time !== null ? formatLRCTimestamp(line.time) : '--:--.--';
+            return `<p class="${classes.join(' ')}" data-index="${index}"><span class="lyrics-plus-sync-time">${stamp}</span>${line.text || '♪'}${buildRomanizationHtml(line.text)}</p>`;
+        });
+        renderLyricsContent(linesHtml);
+        page.querySelector('.lyrics-plus-viewport')?.classList.remove('lyrics-hidden');
+        updateSyncEditorControls();
+        scrollToLine(syncEditor.cursor);
+    }
 
-        playPauseBtn.innerHTML = data.is_playing ? 
-            `<svg height="20" width="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M8 5V19M16 5V19" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>` : 
-            `<svg height="20" width="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M16.6582 9.28638C18.098 10.1862 18.8178 10.6361 19.0647 11.2122C19.2803 11.7152 19.2803 12.2847 19.0647 12.7878C18.8178 13.3638 18.098 13.8137 16.6582 14.7136L9.896 18.94C8.29805 19.9387 7.49907 20.4381 6.83973 20.385C6.26501 20.3388 5.73818 20.0469 5.3944 19.584C5 19.053 5 18.1108 5 16.2264V7.77357C5 5.88919 5 4.94701 5.3944 4.41598C5.73818 3.9531 6.26501 3.66111 6.83973 3.6149C7.49907 3.5619 8.29805 4.06126 9.896 5.05998L16.6582 9.28638Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/></svg>`;
+    /**
+     * Stamps a line with the current playback position and moves the cursor to the next line.
+     * @param {number} [index] The line to stamp. Defaults to the line under the cursor.
+     */
+    function stampSyncLine(index = syncEditor.cursor) {
+        const line = syncEditor.lines[index];
+        if (!line) return;
+        // Stamps are stored like fetched lyrics, before the per-song offset is applied
+        const offset = getOffsetForTrack(Player.data?.item);
+        line.time = Math.max(0, Math.round(getPlaybackPosition() - offset));
+        syncEditor.cursor = Math.min(index + 1, syncEditor.lines.length - 1);
+        renderSyncEditor();
+    }
 
-        const progress = Player.getProgress();
-        const duration = data.duration;
-        currentTimeEl.textContent = formatTime(progress);
-        totalTimeEl.textContent = formatTime(duration);
-        progressBar.style.width = `${(progress / duration) * 100}%`;
+    /**
+     * Moves the editor cursor by a number of lines.
+     * @param {number} delta Lines to move, negative for up.
+     */
+    function moveSyncCursor(delta) {
+        syncEditor.cursor = Math.max(0, Math.min(syncEditor.lines.length - 1, syncEditor.cursor + delta));
+        renderSyncEditor();
     }
 
     /**
-     * Updates the lyrics UI based on the current song progress.
-     * @param {number} progressMs The current progress in milliseconds.
+     * Shifts the stamp of the line under the cursor.
+     * @param {number} delta Milliseconds to add, negative for earlier.
      */
-    function updateLyricsUI(progressMs) {
-        if (!isPageVisible) return;
-        updatePlayerControlsUI(Player.data);
-        if (!currentLyrics) return;
+    function nudgeSyncLine(delta) {
+        const line = syncEditor.lines[syncEditor.cursor];
+        if (line.time === null) return;
+        line.time = Math.max(0, line.time + delta);
+        renderSyncEditor();
+    }
+
+    /**
+     * Removes the stamp of the line under the cursor.
+     */
+    function clearSyncLine() {
+        syncEditor.lines[syncEditor.cursor].time = null;
+        renderSyncEditor();
+    }
+
+    /**
+     * Builds lyrics from the stamped lines, in playback order. Unstamped lines are left out.
+     * @returns {Array<{time: number, text: string}>}
+     */
+    function buildSyncedLyrics() {
+        return syncEditor.lines
+            .filter(line => line.time !== null)
+            .map(line => ({ time: line.time, text: line.text }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Switches between editing the stamps and previewing them with the normal synced scrolling.
+     */
+    function toggleSyncPreview() {
+        if (syncEditor.previewing) {
+            syncEditor.previewing = false;
+            currentLyrics = null;
+            renderSyncEditor();
+            return;
+        }
+        const lyrics = buildSyncedLyrics();
+        if (!lyrics.length) {
+            Spicetify.showNotification("Stamp at least one line first.", true);
+            return;
+        }
+        syncEditor.previewing = true;
+        setCurrentLyrics(lyrics);
+        currentActiveLineIndex = -1;
+        isSynced = true;
+        renderLyricsContent(buildLyricsHtml(currentLyrics));
+        updateSyncEditorControls();
+        updateLyricsUI(getPlaybackPosition());
+    }
 
+    /**
+     * Turns the stamped lines into the lyrics of the current track and caches them.
+     * @returns {Promise<boolean>} Whether anything was saved.
+     */
+    async function saveSyncEditor() {
         const trackUri = Player.data?.item?.uri;
-        const offset = getOffsetForTrack(trackUri);
-        const adjustedProgressMs = progressMs - offset;
+        if (!trackUri || page.dataset.uri !== trackUri) return false;
+        const lyrics = buildSyncedLyrics();
+        if (!lyrics.length) {
+            Spicetify.showNotification("Stamp at least one line first.", true);
+            return false;
+        }
+        const skipped = syncEditor.lines.length - lyrics.length;
+        if (skipped > 0) {
+            Spicetify.showNotification(`${skipped} unstamped line(s) were left out.`);
+        }
+
+        syncEditor = null;
+        setCurrentLyrics(lyrics);
+        currentActiveLineIndex = -1;
+        renderLyricsContent(buildLyricsHtml(currentLyrics));
+        updateSyncEditorControls();
+        setSourceBadge('');
+        updateLyricsUI(getPlaybackPosition());
+        await putCachedLyrics(trackUri, lyrics, getCacheDetails(Player.data.item));
+        updateStatusIndicator('online', 'Synced in editor (Cached)');
+        return true;
+    }
+
+    /**
+     * Closes the sync editor without saving and goes back to the plain lyrics.
+     */
+    function cancelSyncEditor() {
+        syncEditor = null;
+        currentLyrics = null;
+        setSourceBadge('');
+        renderPlainLyrics();
+    }
 
-        let newActiveLineIndex = -1;
-        for (let i = currentLyrics.length - 1; i >= 0; i--) {
-            if (adjustedProgressMs >= currentLyrics[i].time) {
-                newActiveLineIndex = i;
+    /**
+     * Runs one of the sync editor toolbar actions.
+     * @param {string} action The `data-sync-action` of the clicked button.
+     */
+    async function handleSyncEditorAction(action) {
+        if (!syncEditor) return;
+        switch (action) {
+            case 'preview':
+                toggleSyncPreview();
+                break;
+            case 'save':
+                await saveSyncEditor();
+                break;
+            case 'export':
+                if (await saveSyncEditor()) exportLRC();
+                break;
+            case 'cancel':
+                cancelSyncEditor();
                 break;
-            }
         }
+    }
 
-        if (newActiveLineIndex !== currentActiveLineIndex) {
-            const lineElements = page.querySelectorAll('.lyrics-plus-line');
-            if (!lineElements.length) return;
-            
-            const viewportEl = page.querySelector(".lyrics-plus-viewport");
+    /**
+     * Keyboard controls of the sync editor. Runs in the capture phase so that Space stamps a line
+     * instead of reaching Spotify's play/pause shortcut.
+     * @param {KeyboardEvent} event
+     */
+    function handleSyncEditorKeydown(event) {
+        if (!syncEditor || syncEditor.previewing || !isPageVisible) return;
+        if ([settingsModal, chooseModal, cacheModal].some(modal => modal.classList.contains('visible'))) return;
+        if (event.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+
+        switch (event.code) {
+            case 'Space':
+            case 'Enter':
+                stampSyncLine();
+                break;
+            case 'ArrowUp':
+                moveSyncCursor(-1);
+                break;
+            case 'ArrowDown':
+                moveSyncCursor(1);
+                break;
+            case 'ArrowLeft':
+                nudgeSyncLine(event.shiftKey ? -SYNC_NUDGE_FINE_STEP : -SYNC_NUDGE_STEP);
+                break;
+            case 'ArrowRight':
+                nudgeSyncLine(event.shiftKey ? SYNC_NUDGE_FINE_STEP : SYNC_NUDGE_STEP);
+                break;
+            case 'Backspace':
+                clearSyncLine();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+    }
 
-            if (!lyricsStarted && newActiveLineIndex > -1) {
-                lyricsStarted = true;
-                if (viewportEl) {
-                    viewportEl.classList.remove('lyrics-hidden');
-                }
-            }
+    // --- KEYBOARD SHORTCUTS ---
+    // Combos are written as modifiers plus a KeyboardEvent.code, e.g. "Shift+KeyN", so they don't depend on the keyboard layout.
+    const DEFAULT_SHORTCUTS = {
+        togglePlay: "KeyK",
+        nextTrack: "Shift+KeyN",
+        previousTrack: "Shift+KeyP",
+        nextLine: "ArrowDown",
+        previousLine: "ArrowUp",
+        offsetIncrease: "Equal",
+        offsetDecrease: "Minus",
+        offsetIncreaseFine: "Shift+Equal",
+        offsetDecreaseFine: "Shift+Minus",
+        resync: "KeyR",
+        toggleSettings: "KeyS",
+        cycleLayout: "KeyL",
+        nextProfile: "KeyP",
+        findInLyrics: "Ctrl+KeyF",
+        openPage: "Ctrl+Shift+KeyY",
+    };
+    const SHORTCUT_MODIFIERS = ["Ctrl", "Alt", "Shift", "Meta"];
+    const LAYOUT_CYCLE = ["left", "right", "lyrics-only"];
+
+    // Spotify's own desktop shortcuts, to warn about clashes. Ctrl and Meta (Cmd on macOS) are treated as one.
+    const SPOTIFY_SHORTCUTS = {
+        "Space": "Play / pause",
+        "Ctrl+ArrowRight": "Next track",
+        "Ctrl+ArrowLeft": "Previous track",
+        "Shift+ArrowRight": "Seek forward",
+        "Shift+ArrowLeft": "Seek backward",
+        "Ctrl+ArrowUp": "Volume up",
+        "Ctrl+ArrowDown": "Volume down",
+        "Ctrl+Shift+ArrowDown": "Mute",
+        "Ctrl+KeyS": "Shuffle",
+        "Ctrl+KeyR": "Repeat",
+        "Ctrl+KeyL": "Search",
+        "Ctrl+KeyK": "Search",
+        "Ctrl+KeyF": "Filter",
+        "Ctrl+KeyN": "New playlist",
+        "Ctrl+Comma": "Preferences",
+        "Ctrl+Slash": "Keyboard shortcuts",
+        "Ctrl+KeyA": "Select all",
+        "Ctrl+KeyC": "Copy",
+        "Ctrl+KeyV": "Paste",
+        "Ctrl+KeyX": "Cut",
+        "Ctrl+KeyZ": "Undo",
+        "Ctrl+KeyQ": "Quit",
+        "Alt+ArrowLeft": "Go back",
+        "Alt+ArrowRight": "Go forward",
+        "Alt+Shift+KeyH": "Home",
+        "Alt+Shift+KeyB": "Your Library",
+        "Alt+Shift+KeyJ": "Queue",
+        "Alt+Shift+KeyL": "Liked Songs",
+    };
 
-            const oldActiveEl = lineElements[currentActiveLineIndex];
-            if (oldActiveEl) {
-                oldActiveEl.classList.remove('active');
-                oldActiveEl.classList.add('past');
-            }
+    let rebindingShortcut = null; // Action id waiting for a new key combo in the settings
 
-            const newActiveEl = lineElements[newActiveLineIndex];
-            if (newActiveEl) {
-                newActiveEl.classList.remove('past');
-                newActiveEl.classList.add('visible', 'active');
-            }
+    /**
+     * Moves to the lyric line `direction` lines away from the active one.
+     * @param {number} direction 1 for the next line, -1 for the previous one.
+     */
+    function seekToAdjacentLine(direction) {
+        if (!currentLyrics?.length) return;
+        const index = Math.max(0, Math.min(currentLyrics.length - 1, currentActiveLineIndex + direction));
+        const offset = getOffsetForTrack(Player.data?.item);
+        seekPlayback(currentLyrics[index].time + offset);
+    }
 
-            currentActiveLineIndex = newActiveLineIndex;
+    /**
+     * Changes the track offset of the current track and briefly shows the resulting total.
+     * @param {number} delta Milliseconds to add.
+     */
+    function adjustCurrentOffset(delta) {
+        const track = Player.data?.item;
+        if (!track?.uri) return;
+        setOffset('tracks', track.uri, getOffset('tracks', track.uri) + delta);
+        Spicetify.showNotification(`Lyrics offset: ${getOffsetForTrack(track)} ms`);
+    }
 
-            // Animate scroll
-            if (isSynced && newActiveEl && viewportEl) {
-                 const contentEl = newActiveEl.parentElement;
-                 if (contentEl) {
-                    contentEl.style.transition = ''; // Re-enable CSS transition
-                    const scrollOffset = newActiveEl.offsetTop - (viewportEl.clientHeight / 2) + (newActiveEl.clientHeight / 2);
-                    contentEl.style.transform = `translateY(-${scrollOffset}px)`;
-                 }
+    /** Shortcut actions in the order they are listed in the settings. */
+    const SHORTCUT_ACTIONS = {
+        togglePlay: { label: "Play / pause", run: () => Player.togglePlay() },
+        nextTrack: { label: "Next track", run: () => Player.next() },
+        previousTrack: { label: "Previous track", run: () => Player.back() },
+        nextLine: { label: "Jump to next line", run: () => seekToAdjacentLine(1) },
+        previousLine: { label: "Jump to previous line", run: () => seekToAdjacentLine(-1) },
+        offsetIncrease: { label: "Offset +100ms", run: () => adjustCurrentOffset(100) },
+        offsetDecrease: { label: "Offset -100ms", run: () => adjustCurrentOffset(-100) },
+        offsetIncreaseFine: { label: "Offset +10ms", run: () => adjustCurrentOffset(10) },
+        offsetDecreaseFine: { label: "Offset -10ms", run: () => adjustCurrentOffset(-10) },
+        resync: { label: "Re-sync scrolling", run: () => resyncLyrics() },
+        toggleSettings: { label: "Toggle settings", run: () => toggleSettingsModal(!settingsModal.classList.contains('visible')) },
+        cycleLayout: {
+            label: "Cycle layout",
+            run: () => {
+                const next = LAYOUT_CYCLE[(LAYOUT_CYCLE.indexOf(currentConfig.layout) + 1) % LAYOUT_CYCLE.length];
+                saveConfig({ layout: next });
+                updateSettingsModalUI();
+            },
+        },
+        nextProfile: { label: "Next appearance profile", run: () => cycleProfile() },
+        findInLyrics: { label: "Find in lyrics", run: () => openLyricsFind() },
+        openPage: { label: "Open / close lyrics page", global: true, run: () => togglePage(!isPageVisible) },
+    };
+
+    /**
+     * Returns the key combo bound to an action, falling back to its default.
+     * @param {string} actionId
+     * @returns {string} The combo, or an empty string when unbound.
+     */
+    function getShortcut(actionId) {
+        return currentConfig.shortcuts?.[actionId] ?? DEFAULT_SHORTCUTS[actionId] ?? '';
+    }
+
+    /**
+     * Binds a key combo to an action. Any other action using the same combo is unbound.
+     * @param {string} actionId
+     * @param {string} combo The combo, or an empty string to unbind.
+     */
+    function setShortcut(actionId, combo) {
+        const shortcuts = { ...currentConfig.shortcuts, [actionId]: combo };
+        if (combo) {
+            for (const otherId of Object.keys(SHORTCUT_ACTIONS)) {
+                if (otherId !== actionId && getShortcut(otherId) === combo) {
+                    shortcuts[otherId] = '';
+                    Spicetify.showNotification(`${formatShortcut(combo)} was moved from "${SHORTCUT_ACTIONS[otherId].label}".`);
+                }
             }
         }
+        saveConfig({ shortcuts });
+        renderShortcutList();
     }
 
     /**
-     * Exports the current lyrics to an LRC file.
+     * Builds the combo string for a keydown event.
+     * @param {KeyboardEvent} event
+     * @returns {string|null} The combo, or null while only modifier keys are held.
      */
-    function exportLRC() {
-        if (!currentLyrics || !Player.data?.item) {
-            Spicetify.showNotification("No lyrics to export.", true);
+    function eventToShortcut(event) {
+        if (/^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/.test(event.code) || !event.code) return null;
+        const modifiers = [event.ctrlKey && "Ctrl", event.altKey && "Alt", event.shiftKey && "Shift", event.metaKey && "Meta"].filter(Boolean);
+        return [...modifiers, event.code].join('+');
+    }
+
+    /**
+     * Turns a combo into readable text, e.g. "Shift+KeyN" -> "Shift + N".
+     * @param {string} combo
+     * @returns {string}
+     */
+    function formatShortcut(combo) {
+        if (!combo) return 'None';
+        const keyNames = { Equal: '=', Minus: '-', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Comma: ',', Period: '.', Slash: '/' };
+        return combo.split('+')
+            .map(part => keyNames[part] || part.replace(/^(Key|Digit)/, ''))
+            .join(' + ');
+    }
+
+    /**
+     * Names the Spotify shortcut a combo collides with, if any.
+     * @param {string} combo
+     * @returns {string|null}
+     */
+    function findSpotifyShortcutConflict(combo) {
+        if (!combo) return null;
+        const parts = combo.split('+');
+        // Spotify uses Cmd on macOS where it uses Ctrl elsewhere
+        const normalized = [...new Set(parts.map(part => part === 'Meta' ? 'Ctrl' : part))].join('+');
+        return SPOTIFY_SHORTCUTS[normalized] || null;
+    }
+
+    /**
+     * Renders the shortcut bindings in the settings, with clashes against Spotify's own shortcuts.
+     */
+    function renderShortcutList() {
+        const listEl = settingsModal.querySelector("#lyrics-plus-shortcut-list");
+        if (!listEl) return;
+
+        listEl.innerHTML = Object.entries(SHORTCUT_ACTIONS).map(([actionId, action]) => {
+            const combo = getShortcut(actionId);
+            const conflict = findSpotifyShortcutConflict(combo);
+            const note = conflict
+                ? `<small class="lyrics-plus-shortcut-conflict">Overrides Spotify: ${conflict}</small>`
+                : `<small>${action.global ? 'Works anywhere in Spotify' : 'While the lyrics page is open'}</small>`;
+            const isRebinding = rebindingShortcut === actionId;
+            return `
+                <li data-shortcut="${actionId}">
+                    <span class="lyrics-plus-provider-name">${action.label}${note}</span>
+                    <button data-shortcut-action="rebind" class="${isRebinding ? 'active' : ''}" title="Click, then press the new keys">${isRebinding ? 'Press keys…' : formatShortcut(combo)}</button>
+                    <button data-shortcut-action="clear" title="Unbind" ${combo ? '' : 'disabled'}>✕</button>
+                </li>`;
+        }).join('');
+    }
+
+    /**
+     * Runs shortcut actions, and records the new combo while a binding is being changed in the settings.
+     * @param {KeyboardEvent} event
+     */
+    function handleShortcutKeydown(event) {
+        if (rebindingShortcut) {
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.code === 'Escape') {
+                rebindingShortcut = null;
+                renderShortcutList();
+                return;
+            }
+            const combo = eventToShortcut(event);
+            if (!combo) return;
+            const actionId = rebindingShortcut;
+            rebindingShortcut = null;
+            setShortcut(actionId, combo);
+            const conflict = findSpotifyShortcutConflict(combo);
+            if (conflict) {
+                Spicetify.showNotification(`${formatShortcut(combo)} is also Spotify's "${conflict}" shortcut.`, true);
+            }
             return;
         }
 
-        const meta = Player.data.item.metadata;
-        const trackUri = Player.data.item.uri;
-        const offset = getOffsetForTrack(trackUri);
-
-        let lrcContent = `[ar: ${meta.artist_name}]\n`;
-        lrcContent += `[ti: ${meta.title}]\n`;
-        lrcContent += `[al: ${meta.album_title}]\n`;
-        lrcContent += `[offset: ${offset}]\n\n`;
-
-        currentLyrics.forEach(line => {
-            const time = line.time + offset;
-            const minutes = Math.floor(time / 60000).toString().padStart(2, '0');
-            const secondsWithMs = (time % 60000) / 1000;
-            const seconds = Math.floor(secondsWithMs).toString().padStart(2, '0');
-            const milliseconds = Math.round((secondsWithMs - Math.floor(secondsWithMs)) * 100).toString().padEnd(2, '0');
-            lrcContent += `[${minutes}:${seconds}.${milliseconds}]${line.text}\n`;
-        });
+        if (event.defaultPrevented || event.repeat) return;
+        if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        const combo = eventToShortcut(event);
+        if (!combo) return;
+
+        const actionId = Object.keys(SHORTCUT_ACTIONS).find(id => getShortcut(id) === combo);
+        const action = SHORTCUT_ACTIONS[actionId];
+        if (!action) return;
+        if (!action.global) {
+            if (!isPageVisible) return;
+            // Leave keys alone while another dialog is on top, except for closing the settings again
+            const modalOpen = [settingsModal, chooseModal, cacheModal].some(modal => modal.classList.contains('visible'));
+            if (modalOpen && actionId !== 'toggleSettings') return;
+        }
 
-        const blob = new Blob([lrcContent], { type: 'text/plain;charset=utf-8' });
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = `${meta.artist_name} - ${meta.title}.lrc`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+        event.preventDefault();
+        event.stopPropagation();
+        action.run();
     }
 
-
     // --- EVENT LISTENERS & INITIALIZATION ---
     Player.addEventListener("songchange", (event) => {
         if (currentFetchController) {
             currentFetchController.abort();
         }
+        anchorPlaybackClock();
         fetchLyrics(event.data.item);
         updatePlayerControlsUI(event.data);
     });
 
+    // The playback clock drives the UI; progress reports only keep it honest
     Player.addEventListener("onprogress", (event) => {
         if (isPageVisible) {
-            updateLyricsUI(event.data);
+            handleProgressReport(event.data);
         }
     });
 
     Player.addEventListener("onplaypause", (event) => {
+        anchorPlaybackClock();
         if (isPageVisible) {
             updatePlayerControlsUI(Player.data);
         }
     });
+    // Shared with the queue prefetch addon below
+    window.LyricsPlus = { registerProvider, lookupLyrics, parseLRC, getCachedLyrics, putCachedLyrics, putCachedPlainLyrics };
+
     // Initial setup
     createSettingsModal();
+    createCacheModal();
     loadConfig();
     loadOffsets();
+    loadVersionChoices();
     if (Player.data && Player.data.item) {
         renderPageShell(Player.data.item);
         fetchLyrics(Player.data.item);
     }
+    applyBreakpointProfile();
 
 
     // Add context menu option to cache all lyrics in a playlist/album
@@ -1693,7 +6600,7 @@
                     const track = item?.item?.metadata;
                     if (track) {
                         await fetchLyrics({ metadata: track, uri: item.item.uri });
-                        cacheCurrentSongLyrics();
+                        await cacheCurrentSongLyrics();
                     }
                 }
                 Spicetify.showNotification("All lyrics cached!");
@@ -1757,56 +6664,24 @@
         }
     }
 
-    function getCache() {
-        try {
-            const raw = Spicetify.LocalStorage.get("lyrics-plus:cache");
-            return raw ? JSON.parse(raw) : {};
-        } catch {
-            return {};
-        }
-    }
-    function saveCache(cache) {
-        Spicetify.LocalStorage.set("lyrics-plus:cache", JSON.stringify(cache));
-    }
-    function cacheLyricsForUri(uri, lyricsArray) {
-        if (!uri || !Array.isArray(lyricsArray) || !lyricsArray.length) return;
-        const cache = getCache();
-        cache[uri] = { lyrics: lyricsArray, timestamp: Date.now() };
-        saveCache(cache);
-    }
-
-    function parseLRC(lrcText) {
-        if (!lrcText) return null;
-        const lines = String(lrcText).split("\n");
-        const parsed = [];
-        for (const line of lines) {
-            const m = line.match(/\[(\d{2}):(\d{2})[.:](\d{2,3})\](.*)/);
-            if (m) {
-                const [, min, sec, ms, text] = m;
-                const t = parseInt(min, 10) * 60000 + parseInt(sec, 10) * 1000 + parseInt(String(ms).padEnd(3, "0"), 10);
-                parsed.push({ time: t, text: (text || "").trim() || "♪" });
-            }
-        }
-        return parsed.length ? parsed.sort((a,b)=>a.time-b.time) : null;
-    }
-
     async function silentFetchAndCache(queueItem) {
         try {
+            const lyricsPlus = window.LyricsPlus;
+            if (!lyricsPlus) return;
             const uri = toUri(queueItem);
             if (!uri) return;
-            const existing = getCache();
-            if (existing[uri]?.lyrics?.length) return;
+            const existing = await lyricsPlus.getCachedLyrics(uri, { touch: false });
+            if (existing?.lyrics?.length) return;
             const meta = toMetaFromQueueItem(queueItem);
             if (!meta.title || !meta.artist_name) return;
-            const url = `https://lrclib.net/api/get?track_name=${encodeURIComponent(meta.title)}&artist_name=${encodeURIComponent(meta.artist_name)}&album_name=${encodeURIComponent(meta.album_title)}&duration=${Math.round(meta.duration/1000)}`;
-            const resp = await Spicetify.CosmosAsync.get(url);
-            let parsed = null;
-            if (resp?.syncedLyrics) parsed = parseLRC(resp.syncedLyrics);
-            if (!parsed && resp?.plainLyrics) {
-                const lines = String(resp.plainLyrics).split("\n").map((t,i)=>({time:i*2000,text:t||"♪"}));
-                if (lines.length) parsed = lines;
-            }
-            if (parsed?.length) cacheLyricsForUri(uri, parsed);
+            const result = await lyricsPlus.lookupLyrics({ uri, metadata: meta }, { stopAtFirst: true });
+            const parsed = result.synced[0]?.lyrics || null;
+            const details = { title: meta.title, artist: meta.artist_name, album: meta.album_title, duration: meta.duration };
+            if (parsed?.length) {
+                await lyricsPlus.putCachedLyrics(uri, parsed, details);
+            } else if (result.plainLyrics) {
+                await lyricsPlus.putCachedPlainLyrics(uri, String(result.plainLyrics).split("\n"), details);
+            }
         } catch {}
     }
 